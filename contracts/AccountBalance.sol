@@ -6,6 +6,7 @@ import "hardhat/console.sol"; // Optional: For debugging during development
 /**
  * @title AccountBalance
  * @dev A simple contract for users to deposit Ether and check their balance.
+ * Users can withdraw their own balance or transfer it to another account within the contract.
  * It also includes a basic owner-only withdrawal function.
  */
 contract AccountBalance {
@@ -23,6 +24,12 @@ contract AccountBalance {
     // Event emitted when Ether is withdrawn by the owner
     event WithdrawnByOwner(address indexed owner, uint256 amount);
 
+    // Event emitted when a user withdraws Ether from their own balance
+    event Withdrawn(address indexed account, uint256 amount);
+
+    // Event emitted when balance moves from one account to another inside the contract
+    event Transferred(address indexed from, address indexed to, uint256 amount);
+
     /**
      * @dev Sets the deployer as the owner of the contract.
      */
@@ -57,6 +64,39 @@ contract AccountBalance {
         // console.log("User %s deposited %s wei. New balance: %s wei", msg.sender, msg.value, balances[msg.sender]);
     }
 
+    /**
+     * @dev Sends `_amount` wei of the caller's balance back to the caller.
+     * The balance is reduced before the Ether is sent, so a reentrant call can't withdraw it twice.
+     * @param _amount The amount to withdraw in wei.
+     */
+    function withdraw(uint256 _amount) public {
+        require(_amount > 0, "Withdrawal amount must be greater than 0");
+        require(balances[msg.sender] >= _amount, "Insufficient balance");
+
+        balances[msg.sender] -= _amount;
+
+        (bool success, ) = msg.sender.call{value: _amount}("");
+        require(success, "Withdrawal failed");
+
+        emit Withdrawn(msg.sender, _amount);
+    }
+
+    /**
+     * @dev Moves `_amount` wei of the caller's balance to `_to`. No Ether leaves the contract.
+     * @param _to The account to credit.
+     * @param _amount The amount to move in wei.
+     */
+    function transfer(address _to, uint256 _amount) public {
+        require(_to != address(0), "Cannot transfer to the zero address");
+        require(_amount > 0, "Transfer amount must be greater than 0");
+        require(balances[msg.sender] >= _amount, "Insufficient balance");
+
+        balances[msg.sender] -= _amount;
+        balances[_to] += _amount;
+
+        emit Transferred(msg.sender, _to, _amount);
+    }
+
     /**
      * @dev Returns the Ether balance of a specific account within this contract.
      * @param _account The address of the account to query.
@@ -1,5 +1,186 @@
 // hardhat.config.js
 require("@nomicfoundation/hardhat-toolbox");
+const { task, types } = require("hardhat/config");
+
+/**
+ * Registers a benchmark task. All bench:* tasks share the runner in scripts/benchmarkRunner.js
+ * and only differ in the scenario (scripts/benchmarkScenarios.js).
+ * Flags left out keep the scenario defaults. Without `scenarioName` the task takes a --scenario flag,
+ * or a --file with a scenario definition (scripts/scenarioDefinition.js).
+ */
+function benchmarkTask(name, description, scenarioName) {
+  return task(name, description)
+    .addOptionalParam("txs", "Transactions per run", undefined, types.int)
+    .addOptionalParam("workers", "Comma-separated worker counts (or concurrency levels for bench:async), e.g. 8,16,64")
+    .addOptionalParam("amount", "ETH sent with every deposit (bench:transfer: starting balance of every signer)", undefined, types.string)
+    .addOptionalParam("signers", "Number of distinct signers to alternate between", undefined, types.int)
+    .addOptionalParam("signerMode", "fixed (--signers accounts), per-worker or per-tx")
+    .addOptionalParam("mnemonic", "Derive the signers from this mnemonic instead of the default accounts")
+    .addFlag("randomAccounts", "Use randomly generated signers")
+    .addOptionalParam("fund", "ETH each provisioned signer is topped up to", undefined, types.string)
+    .addOptionalParam("fundBatch", "Funding transfers in flight at once", undefined, types.int)
+    .addOptionalParam("repeat", "Runs per worker count", undefined, types.int)
+    .addOptionalParam("mix", "Weighted operations for bench:mix, e.g. deposit=70,getBalance=20,send=8,withdrawAll=2")
+    .addOptionalParam("nonceModes", "Comma-separated nonce modes: retry, managed")
+    .addOptionalParam("retryPolicy", "Retry policy: fixed, exponential (with jitter), capped or none")
+    .addOptionalParam("maxAttempts", "Attempts per transaction, including the first", undefined, types.int)
+    .addOptionalParam("retryDelay", "Base delay before a retry in ms", undefined, types.int)
+    .addOptionalParam("maxRetryDelay", "Upper bound of the capped retry policy in ms", undefined, types.int)
+    .addOptionalParam("mining", "Comma-separated mining modes: auto, interval:<ms>, manual:<txs per block>")
+    .addOptionalParam("out", "Directory for the JSON/CSV result files (default: benchmark-results)")
+    .addFlag("noExport", "Don't write result files")
+    .addFlag("noGasReport", "Skip the gas, fee and signer balance accounting after every run")
+    .addFlag("noWorkerCache", "Build provider, wallet and contract for every task instead of once per worker thread")
+    .addOptionalParam("rpcBatch", "Max JSON-RPC requests per batch in the workers (1 disables batching)", undefined, types.int)
+    .addFlag("staticNetwork", "Skip eth_chainId network detection in the workers")
+    .addFlag("dashboard", "Serve a live progress page with server-sent events")
+    .addOptionalParam("dashboardPort", "Port of the live progress page (0 for any free port)", undefined, types.int)
+    .addOptionalParam("nodePort", "Port of the node started for the hardhat network (default: any free port)", undefined, types.int)
+    .addOptionalParam("nodeLog", "Log file of the node started for the hardhat network")
+    .addFlag("presign", "Sign every transaction before the run and send them with eth_sendRawTransaction (counter, deposit, async)")
+    .addFlag("attach", "Run against the contract recorded in deployments/<network>-<chainId>.json instead of deploying one per run")
+    .addOptionalParam("address", "Run against the contract at this address instead of deploying one per run")
+    .addFlag("redeploy", "Deploy one fresh contract, record it in the deployment registry and run every configuration against it")
+    .addOptionalParam("isolation", "Chain state every run starts from: none, snapshot (evm_revert to the state after setup) or reset (hardhat_reset, then setup again)")
+    .addFlag("rpcProxy", "Send all JSON-RPC traffic through a local proxy that counts calls, bytes and latency per method")
+    .addOptionalParam("rpcTrace", "JSON Lines file for every call through the proxy (implies --rpc-proxy)")
+    .addOptionalParam("seed", "Seed of the random recipients and amounts of bench:transfer (default 1)", undefined, types.int)
+    .setAction(async (args, hre) => {
+      // Required lazily: the runner needs the Hardhat runtime, which is not ready while the config loads
+      const { runBenchmark, resolveConfig } = require("./scripts/benchmarkRunner");
+      const { SCENARIOS, scenarioFromDefinition } = require("./scripts/benchmarkScenarios");
+      if (name === "bench:scenario" && !args.file) {
+        throw new Error("bench:scenario needs --file <scenario definition>");
+      }
+      const scenario = args.file ? scenarioFromDefinition(args.file) : SCENARIOS[scenarioName || args.scenario];
+      if (!scenario) {
+        throw new Error(`Unknown scenario '${args.scenario}'. Expected one of: ${Object.keys(SCENARIOS).join(", ")}`);
+      }
+      if (name === "bench:rate" && !args.rate && !args.ramp) {
+        throw new Error("bench:rate needs --rate <tx/s> or --ramp");
+      }
+      await runBenchmark(hre, scenario, resolveConfig(scenario, args));
+    });
+}
+
+benchmarkTask("bench:counter", "Counter increments from Piscina worker threads", "counter");
+benchmarkTask("bench:deposit", "AccountBalance deposits from Piscina worker threads", "deposit");
+benchmarkTask("bench:mix", "Weighted mix of AccountBalance deposits, reads, direct sends and owner withdrawals", "mix");
+benchmarkTask("bench:transfer", "AccountBalance withdrawals and transfers between the signers, checked for conservation", "transfer");
+benchmarkTask("bench:async", "Counter increments from the main thread at several concurrency levels", "async");
+benchmarkTask("bench:scenario", "Any contract method, described by a scenario definition file (see scenarios/)")
+  .addOptionalParam("file", "Scenario definition, a .json or .js file");
+benchmarkTask("bench:rate", "Open-loop load at a constant arrival rate, or a ramp up to saturation")
+  .addOptionalParam("scenario", "counter, deposit, mix, transfer or async", "counter")
+  .addOptionalParam("file", "Scenario definition file, instead of --scenario")
+  .addOptionalParam("rate", "Target arrival rate in tx/s", undefined, types.float)
+  .addOptionalParam("duration", "Seconds per rate (replaces --txs)", undefined, types.float)
+  .addFlag("ramp", "Step the rate up until the failure rate or latency crosses a threshold")
+  .addOptionalParam("rampStart", "Ramp: first rate in tx/s", undefined, types.float)
+  .addOptionalParam("rampStep", "Ramp: rate increase per step", undefined, types.float)
+  .addOptionalParam("rampMax", "Ramp: last rate to try", undefined, types.float)
+  .addOptionalParam("maxFailureRate", "Ramp: failure rate in percent that counts as saturated", undefined, types.float)
+  .addOptionalParam("maxP99", "Ramp: end-to-end p99 latency in ms that counts as saturated", undefined, types.float);
+
+task("bench:replace", "Replaces and cancels pending Counter increments with varied EIP-1559 fees and checks which version was mined")
+  .addOptionalParam("txs", "Increments to send", undefined, types.int)
+  .addOptionalParam("signers", "Default accounts sending them", undefined, types.int)
+  .addOptionalParam("perBlock", "Increments sent before each block is mined", undefined, types.int)
+  .addOptionalParam("replaceShare", "Share of increments replaced by one with higher fees, e.g. 0.3", undefined, types.float)
+  .addOptionalParam("cancelShare", "Share of increments cancelled with a 0-value self-send", undefined, types.float)
+  .addOptionalParam("underpricedShare", "Share of increments with a replacement whose fee bump is too small", undefined, types.float)
+  .addOptionalParam("seed", "Seed of the random actions and fees (default 1)", undefined, types.int)
+  .addOptionalParam("out", "Directory for the JSON/CSV result files (default: benchmark-results)")
+  .addFlag("noExport", "Don't write result files")
+  .setAction(async (args, hre) => {
+    const { resolveStressOptions, runReplacementStress, reportReplacementStress } = require("./scripts/replacementStress");
+    const { collectEnvironment, writeResults } = require("./scripts/resultExport");
+    await hre.run("compile");
+    const options = resolveStressOptions(args, (await hre.ethers.getSigners()).length);
+    const result = await runReplacementStress(hre, options);
+    reportReplacementStress(result);
+    if (!args.noExport) {
+      const environment = await collectEnvironment({
+        hre,
+        provider: hre.ethers.provider,
+        rpcUrl: hre.network.config.url,
+        scenario: { name: "replace", contractName: "Counter" },
+        config: options,
+      });
+      const { jsonPath, csvPath } = writeResults(environment, { replace: result.row }, args.out, {
+        versions: result.versions,
+        inclusion: result.inclusion,
+      });
+      console.log(`\nResults written to ${jsonPath} and ${csvPath}`);
+    }
+    if (!result.row.verified) {
+      process.exitCode = 1;
+    }
+  });
+
+task("bench:compare", "Compares two benchmark result files and exits non-zero on regressions")
+  .addPositionalParam("baseline", "Result JSON file of the reference run")
+  .addPositionalParam("candidate", "Result JSON file of the run to check")
+  .addOptionalParam("threshold", "Allowed throughput drop in percent", 10, types.float)
+  .addOptionalParam("failureThreshold", "Allowed failure-rate increase in percentage points", 1, types.float)
+  .setAction(async (args) => {
+    const { compareResultFiles } = require("./scripts/resultCompare");
+    const regressed = compareResultFiles(args.baseline, args.candidate, {
+      throughputThreshold: args.threshold,
+      failureThreshold: args.failureThreshold,
+    });
+    if (regressed) {
+      process.exitCode = 1;
+    }
+  });
+
+task("ab:audit", "Rebuilds AccountBalance balances from Deposited, Withdrawn and Transferred events and checks them against the mapping and the contract's ETH")
+  .addParam("address", "Address of the deployed AccountBalance")
+  .addOptionalParam("fromBlock", "List only accounts with events since this block (the audit still replays every block)", 0, types.int)
+  .addFlag("json", "Print the report as JSON instead of tables")
+  .setAction(async (args, hre) => {
+    const { auditLedger, auditToJson, printAudit } = require("./scripts/ledgerAudit");
+    const contract = await hre.ethers.getContractAt("AccountBalance", args.address);
+    const audit = await auditLedger(contract, { fromBlock: args.fromBlock });
+    if (args.json) {
+      console.log(JSON.stringify(auditToJson(audit), null, 2));
+    } else {
+      printAudit(audit);
+    }
+    // A shortfall is what withdrawAll does by design, a mapping that disagrees with its events is not
+    if (audit.mismatches.length > 0) {
+      process.exitCode = 1;
+    }
+  });
+
+/**
+ * Registers an ab:* console command (scripts/accountBalanceConsole.js). Every command takes --contract,
+ * default: the AccountBalance in the deployment registry, and --json.
+ */
+function accountBalanceTask(command, description) {
+  return task(`ab:${command}`, description)
+    .addOptionalParam("contract", "Address of the deployed AccountBalance (default: the one in deployments/<network>-<chainId>.json)")
+    .addFlag("json", "Print the result as JSON")
+    .setAction(async (args, hre) => {
+      const { runCommand } = require("./scripts/accountBalanceConsole");
+      await runCommand(hre, command, args);
+    });
+}
+
+accountBalanceTask("deposit", "Deposits ETH into AccountBalance from one of the node's accounts")
+  .addOptionalParam("account", "Index of the sending account", 0, types.int)
+  .addParam("amount", "ETH to deposit", undefined, types.string);
+accountBalanceTask("balance", "Prints an account's balance in AccountBalance")
+  .addOptionalParam("address", "Account to look up")
+  .addOptionalParam("account", "Index of the account to look up, instead of --address (default: 0)", undefined, types.int);
+accountBalanceTask("send", "Sends plain ETH to AccountBalance, credited by receive()")
+  .addOptionalParam("account", "Index of the sending account", 0, types.int)
+  .addParam("amount", "ETH to send", undefined, types.string);
+accountBalanceTask("contract-balance", "Prints the ETH AccountBalance holds and its owner");
+accountBalanceTask("withdraw-all", "Sends all of AccountBalance's ETH to the owner")
+  .addOptionalParam("account", "Index of the sending account, has to be the owner", 0, types.int);
+accountBalanceTask("history", "Lists the Deposited, Withdrawn, Transferred and WithdrawnByOwner events of AccountBalance")
+  .addOptionalParam("fromBlock", "First block to read events from", 0, types.int);
 
 module.exports = {
   solidity: "0.8.20", // Or your version
@@ -0,0 +1,23 @@
+// scenarios/account-deposit.js
+//
+// AccountBalance deposits from random signers, with a value that varies per transaction.
+// Run with: npx hardhat bench:scenario --network localhost --file scenarios/account-deposit.js
+const { ethers } = require('ethers');
+
+module.exports = {
+    contract: "AccountBalance",
+    method: "deposit",
+    events: ["Deposited"],
+
+    // 0.001 to 0.010 ETH
+    value: ({ txIndex }) => ethers.parseEther("0.001") * BigInt((txIndex % 10) + 1),
+
+    signerPolicy: "random",
+
+    invariant: {
+        read: "$contractBalance",
+        expect: "value",
+    },
+
+    defaults: { txs: 200, workers: [4] },
+};
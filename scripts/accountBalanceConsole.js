@@ -0,0 +1,216 @@
+// scripts/accountBalanceConsole.js
+//
+// Commands behind the ab:* tasks, for trying out a deployed AccountBalance by hand instead of editing
+// interactAccountBalance.js. Every command acts on --contract, or on the AccountBalance recorded in
+// the deployment registry (deploymentRegistry.js), and prints a short summary, or JSON with --json.
+// --account picks one of the node's accounts by index; account 0 deployed the contract and owns it.
+const { ethers } = require('ethers');
+const { resolveDeployment } = require('./deploymentRegistry.js');
+const { classifyError } = require('./errorTaxonomy.js');
+
+const HISTORY_EVENTS = ['Deposited', 'Withdrawn', 'Transferred', 'WithdrawnByOwner'];
+
+async function signerAt(hre, index) {
+    const signers = await hre.ethers.getSigners();
+    if (!Number.isInteger(index) || index < 0 || index >= signers.length) {
+        throw new Error(`Invalid --account value: ${index}. The node has accounts 0 to ${signers.length - 1}.`);
+    }
+    return signers[index];
+}
+
+function parseAmount(amount) {
+    let wei;
+    try {
+        wei = ethers.parseEther(String(amount));
+    } catch (error) {
+        throw new Error(`Invalid --amount value: ${amount}`);
+    }
+    if (wei <= BigInt(0)) {
+        throw new Error(`Invalid --amount value: ${amount}, it has to be above 0`);
+    }
+    return wei;
+}
+
+// Sends a transaction, waits for it and returns what every transaction command reports about it
+async function sendAndWait(send) {
+    const tx = await send();
+    const receipt = await tx.wait();
+    return {
+        receipt,
+        fields: {
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed.toString(),
+            feeETH: ethers.formatEther(receipt.fee),
+        },
+    };
+}
+
+const logTx = (report) => console.log(`   tx ${report.txHash} in block ${report.blockNumber}, gas used ${report.gasUsed}, fee ${report.feeETH} ETH`);
+
+const COMMANDS = {
+    deposit: {
+        async run({ hre, contract }, args) {
+            const signer = await signerAt(hre, args.account);
+            const amount = parseAmount(args.amount);
+            const { fields } = await sendAndWait(() => contract.connect(signer).deposit({ value: amount }));
+            return {
+                account: signer.address,
+                amountETH: ethers.formatEther(amount),
+                ...fields,
+                balanceETH: ethers.formatEther(await contract.getBalance(signer.address)),
+            };
+        },
+        print(report) {
+            console.log(`✅ ${report.account} deposited ${report.amountETH} ETH`);
+            logTx(report);
+            console.log(`   Balance in the contract: ${report.balanceETH} ETH`);
+        },
+    },
+
+    balance: {
+        async run({ hre, contract }, args) {
+            if (args.address !== undefined && args.account !== undefined) {
+                throw new Error("--address and --account can't be combined, pick one");
+            }
+            if (args.address !== undefined && !ethers.isAddress(args.address)) {
+                throw new Error(`Invalid --address value: ${args.address}`);
+            }
+            const account = args.address !== undefined
+                ? ethers.getAddress(args.address)
+                : (await signerAt(hre, args.account ?? 0)).address;
+            return { account, balanceETH: ethers.formatEther(await contract.getBalance(account)) };
+        },
+        print(report) {
+            console.log(`Balance of ${report.account} in the contract: ${report.balanceETH} ETH`);
+        },
+    },
+
+    // A plain ETH transfer, credited by receive() like a deposit
+    send: {
+        async run({ hre, contract, address }, args) {
+            const signer = await signerAt(hre, args.account);
+            const amount = parseAmount(args.amount);
+            const { fields } = await sendAndWait(() => signer.sendTransaction({ to: address, value: amount }));
+            return {
+                account: signer.address,
+                amountETH: ethers.formatEther(amount),
+                ...fields,
+                balanceETH: ethers.formatEther(await contract.getBalance(signer.address)),
+            };
+        },
+        print(report) {
+            console.log(`✅ ${report.account} sent ${report.amountETH} ETH to the contract`);
+            logTx(report);
+            console.log(`   Balance in the contract: ${report.balanceETH} ETH`);
+        },
+    },
+
+    'contract-balance': {
+        async run({ hre, contract, address }) {
+            return {
+                owner: await contract.owner(),
+                balanceETH: ethers.formatEther(await hre.ethers.provider.getBalance(address)),
+                getContractBalanceETH: ethers.formatEther(await contract.getContractBalance()),
+            };
+        },
+        print(report) {
+            console.log(`Contract ETH: ${report.balanceETH} ETH (getContractBalance(): ${report.getContractBalanceETH} ETH)`);
+            console.log(`Owner: ${report.owner}`);
+        },
+    },
+
+    'withdraw-all': {
+        async run({ hre, contract, address }, args) {
+            const signer = await signerAt(hre, args.account);
+            const { receipt, fields } = await sendAndWait(() => contract.connect(signer).withdrawAll());
+            const withdrawn = receipt.logs
+                .map(log => contract.interface.parseLog(log))
+                .find(parsed => parsed && parsed.name === 'WithdrawnByOwner');
+            return {
+                owner: signer.address,
+                amountETH: ethers.formatEther(withdrawn ? withdrawn.args.amount : BigInt(0)),
+                ...fields,
+                contractBalanceETH: ethers.formatEther(await hre.ethers.provider.getBalance(address)),
+            };
+        },
+        print(report) {
+            console.log(`✅ Owner ${report.owner} withdrew ${report.amountETH} ETH`);
+            logTx(report);
+            console.log(`   Contract ETH left: ${report.contractBalanceETH} ETH. The balances mapping is unchanged, see ab:audit.`);
+        },
+    },
+
+    history: {
+        async run({ contract }, args) {
+            const fromBlock = args.fromBlock ?? 0;
+            const logs = (await Promise.all(HISTORY_EVENTS.map(name => contract.queryFilter(contract.filters[name](), fromBlock, 'latest')))).flat();
+            logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+            return {
+                fromBlock,
+                events: logs.map(log => ({
+                    block: log.blockNumber,
+                    event: log.eventName,
+                    from: log.args.account || log.args.from || log.args.owner,
+                    to: log.args.to || null,
+                    amountETH: ethers.formatEther(log.args.amount),
+                    txHash: log.transactionHash,
+                })),
+            };
+        },
+        print(report) {
+            if (report.events.length === 0) {
+                console.log(`No ${HISTORY_EVENTS.join(', ')} events since block ${report.fromBlock}.`);
+                return;
+            }
+            console.table(report.events.map(({ txHash, ...row }) => ({ ...row, to: row.to || '' })));
+            console.log(`${report.events.length} events since block ${report.fromBlock}.`);
+        },
+    },
+};
+
+/**
+ * Runs an ab:* command and prints its outcome. A reverted transaction is reported, not thrown,
+ * and sets the exit code to 1.
+ * @param {object} hre - Hardhat Runtime Environment.
+ * @param {string} name - Key of COMMANDS, e.g. "deposit".
+ * @param {object} args - Task arguments: `contract`, `json` and the command's own.
+ * @returns {Promise<object>} The report, `{ command, contract, ok, ... }`.
+ */
+async function runCommand(hre, name, args) {
+    const command = COMMANDS[name];
+    const { contract, address } = await resolveDeployment(hre, 'AccountBalance', {
+        attach: args.contract === undefined,
+        address: args.contract,
+    });
+
+    let report;
+    try {
+        report = { command: name, contract: address, ok: true, ...await command.run({ hre, contract, address }, args) };
+    } catch (error) {
+        const { category, reason } = classifyError(error);
+        if (category !== 'revert') {
+            throw error;
+        }
+        report = { command: name, contract: address, ok: false, error: reason || 'reverted without a reason' };
+        // Under automine Hardhat mines the reverting transaction before it answers with the error
+        if (error.data?.txHash) {
+            report.txHash = error.data.txHash;
+        }
+        process.exitCode = 1;
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else if (report.ok) {
+        command.print(report);
+    } else {
+        console.error(`❌ ab:${name} reverted: ${report.error}${report.txHash ? ` (tx ${report.txHash})` : ''}`);
+    }
+    return report;
+}
+
+module.exports = {
+    COMMANDS,
+    runCommand
+};
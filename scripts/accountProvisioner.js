@@ -0,0 +1,144 @@
+// scripts/accountProvisioner.js
+//
+// Provides as many benchmark signers as a run needs instead of the 20 keys in constants.js.
+// Accounts are derived from a mnemonic (or generated randomly), funded from the default
+// Hardhat accounts in batched transfers, and their private keys handed to the workers.
+const { HARDHAT_PRIVATE_KEYS } = require('./constants.js');
+
+// Mnemonic of the default Hardhat accounts. Index 0-19 are the keys in constants.js,
+// which the node already funds, so derived accounts start right after them.
+const HARDHAT_MNEMONIC = "test test test test test test test test test test test junk";
+const DERIVATION_PATH = "m/44'/60'/0'/0";
+
+// "fixed":      --signers accounts for every run
+// "per-worker": one account per worker thread (or concurrency slot) of the run
+// "per-tx":     one account per transaction
+const SIGNER_MODES = ['fixed', 'per-worker', 'per-tx'];
+
+/**
+ * Number of signers a run uses.
+ * @param {object} config - Runner configuration.
+ * @param {number} level - Worker count or concurrency level of the run.
+ * @param {number} [txCount] - Transactions of the run.
+ * @returns {number}
+ */
+function signerCountFor(config, level, txCount = config.txs) {
+    if (config.signerMode === 'per-worker') {
+        return level;
+    }
+    if (config.signerMode === 'per-tx') {
+        return txCount;
+    }
+    return config.signers;
+}
+
+/**
+ * Derives private keys from a mnemonic.
+ * @param {object} ethers - ethers library.
+ * @param {string} mnemonic
+ * @param {number} startIndex - First address index.
+ * @param {number} count
+ * @returns {Array<string>}
+ */
+function deriveKeys(ethers, mnemonic, startIndex, count) {
+    const root = ethers.HDNodeWallet.fromPhrase(mnemonic, undefined, DERIVATION_PATH);
+    return Array.from({ length: count }, (_, index) => root.deriveChild(startIndex + index).privateKey);
+}
+
+/**
+ * Sends `amount` to every recipient, spread over the funders. Each funder sends its share in order
+ * with explicit nonces; `batchSize` transfers are in flight before waiting for their receipts.
+ * @returns {Promise<number>} Number of transfers sent.
+ */
+async function fundAccounts(funders, recipients, amount, batchSize) {
+    const nextNonce = await Promise.all(funders.map(funder => funder.getNonce('pending')));
+    let sent = 0;
+
+    for (let start = 0; start < recipients.length; start += batchSize) {
+        const batch = recipients.slice(start, start + batchSize);
+        const responses = await Promise.all(funders.map(async (funder, funderIndex) => {
+            const funderResponses = [];
+            // Sequential per funder so the node never sees its nonces out of order
+            for (let i = funderIndex; i < batch.length; i += funders.length) {
+                funderResponses.push(await funder.sendTransaction({
+                    to: batch[i],
+                    value: amount,
+                    nonce: nextNonce[funderIndex]++,
+                }));
+            }
+            return funderResponses;
+        }));
+        await Promise.all(responses.flat().map(response => response.wait()));
+        sent += batch.length;
+        console.log(`   Funded ${sent}/${recipients.length} accounts...`);
+    }
+    return sent;
+}
+
+/**
+ * Tops up every account holding less than `fundAmount` ETH to it, from the default Hardhat accounts.
+ * @param {object} ethers - ethers library (hre.ethers).
+ * @param {object} provider - Provider of the network the benchmark runs on.
+ * @param {Array<string>} privateKeys - Accounts to check.
+ * @param {string} fundAmount - ETH each account should hold at least.
+ * @param {number} batchSize - Transfers in flight per funding batch.
+ * @returns {Promise<number>} Number of accounts funded.
+ */
+async function topUpAccounts(ethers, provider, privateKeys, fundAmount, batchSize) {
+    const fundAmountWei = ethers.parseEther(fundAmount);
+    const addresses = privateKeys.map(key => new ethers.Wallet(key).address);
+    const balances = await Promise.all(addresses.map(address => provider.getBalance(address)));
+    const needsFunding = addresses.filter((address, index) => balances[index] < fundAmountWei);
+    if (needsFunding.length === 0) {
+        return 0;
+    }
+    console.log(`Funding ${needsFunding.length} accounts with ${fundAmount} ETH each from the default accounts...`);
+    const funders = HARDHAT_PRIVATE_KEYS.map(key => new ethers.Wallet(key, provider));
+    return fundAccounts(funders, needsFunding, fundAmountWei, batchSize);
+}
+
+/**
+ * Returns `count` benchmark private keys, funding the ones that are not default Hardhat accounts.
+ * @param {object} ethers - ethers library (hre.ethers).
+ * @param {object} provider - Provider of the network the benchmark runs on.
+ * @param {object} options
+ * @param {number} options.count - Number of accounts needed.
+ * @param {string} [options.mnemonic] - Derive all accounts from this mnemonic instead.
+ * @param {boolean} [options.random] - Generate random accounts instead.
+ * @param {string} options.fundAmount - ETH each provisioned account should hold at least.
+ * @param {number} options.batchSize - Transfers in flight per funding batch.
+ * @returns {Promise<Array<string>>} Private keys.
+ */
+async function provisionAccounts(ethers, provider, { count, mnemonic, random, fundAmount, batchSize }) {
+    let privateKeys;
+    let provisionedKeys;
+    if (random) {
+        provisionedKeys = Array.from({ length: count }, () => ethers.Wallet.createRandom().privateKey);
+        privateKeys = provisionedKeys;
+        console.log(`Generated ${count} random accounts.`);
+    } else if (mnemonic) {
+        provisionedKeys = deriveKeys(ethers, mnemonic, 0, count);
+        privateKeys = provisionedKeys;
+        console.log(`Derived ${count} accounts from the given mnemonic.`);
+    } else {
+        const defaultKeys = HARDHAT_PRIVATE_KEYS.slice(0, count);
+        provisionedKeys = deriveKeys(ethers, HARDHAT_MNEMONIC, HARDHAT_PRIVATE_KEYS.length, count - defaultKeys.length);
+        privateKeys = [...defaultKeys, ...provisionedKeys];
+        if (provisionedKeys.length > 0) {
+            console.log(`Derived ${provisionedKeys.length} accounts beyond the ${defaultKeys.length} default ones.`);
+        }
+    }
+
+    await topUpAccounts(ethers, provider, provisionedKeys, fundAmount, batchSize);
+    return privateKeys;
+}
+
+module.exports = {
+    HARDHAT_MNEMONIC,
+    SIGNER_MODES,
+    signerCountFor,
+    deriveKeys,
+    fundAccounts,
+    topUpAccounts,
+    provisionAccounts
+};
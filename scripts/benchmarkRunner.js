@@ -0,0 +1,1029 @@
+// scripts/benchmarkRunner.js
+//
+// Deploy/run/verify/report loop shared by every benchmark.
+// Used by the bench:* Hardhat tasks (see hardhat.config.js) and by the run*.js scripts.
+// What is deployed, sent and verified comes from a scenario (see benchmarkScenarios.js).
+const Piscina = require('piscina');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const os = require('os');
+
+// --- Import constants ---
+const { HARDHAT_PRIVATE_KEYS } = require('./constants.js');
+const { NONCE_MODES, createNonceBuffer, reportNonceCollisionsAvoided } = require('./nonceManager.js');
+const { RECEIPT_POLL_INTERVAL_MS, sendWithRetry } = require('./workerTransaction.js');
+const { LATENCY_COLUMNS, now, summarizeLatencies } = require('./latencyStats.js');
+const { DEFAULT_RESULTS_DIR, collectEnvironment, writeResults } = require('./resultExport.js');
+const { SIGNER_MODES, signerCountFor, topUpAccounts, provisionAccounts } = require('./accountProvisioner.js');
+const { LOAD_COLUMNS, runOpenLoop, summarizeEndToEnd, runRamp } = require('./loadGenerator.js');
+const { BLOCK_COLUMNS, analyzeBlocks } = require('./blockAnalysis.js');
+const { reconcileEvents, reportReconciliation } = require('./eventReconciler.js');
+const { parseMiningModes, startMiningMode } = require('./miningModes.js');
+const { RETRY_POLICIES, createRetryPolicy } = require('./retryPolicy.js');
+const { ERROR_CATEGORIES } = require('./errorTaxonomy.js');
+const { DEFAULT_DASHBOARD_PORT, startDashboard } = require('./liveDashboard.js');
+const { CLIENT_COLUMNS, summarizeClientOverhead } = require('./workerCache.js');
+const { OPERATION_COLUMNS, parseMix, summarizeOperations } = require('./workloadMix.js');
+const { checkNode, startNode } = require('./nodeManager.js');
+const { PHASE_COLUMNS, signTransactions, submitTransaction, confirmTransactions, summarizePhases } = require('./presignedBlast.js');
+const { GAS_COLUMNS, GAS_OUTLIER_PCT, accountGas, reportGas, findGasOutliers } = require('./gasAccounting.js');
+const { deploymentOptionsFromEnv, validateDeploymentOptions, requirePersistentNetwork, resolveDeployment } = require('./deploymentRegistry.js');
+const { ISOLATION_MODES, startIsolation } = require('./runIsolation.js');
+const { RPC_COLUMNS, RPC_METHOD_COLUMNS, summarizeTraffic, startRpcProxy } = require('./rpcProxy.js');
+
+// --- Default Configuration (overridden by scenario defaults, then by task flags) ---
+const DEFAULT_CONFIG = {
+    txs: 1000,                         // Transactions per run
+    workers: [256],                    // Worker threads (piscina) or concurrency levels (async)
+    amount: "0.01",                    // ETH per deposit, for scenarios that send value
+    signers: HARDHAT_PRIVATE_KEYS.length, // Distinct signers to alternate between ("fixed" signer mode)
+    signerMode: 'fixed',               // See accountProvisioner.js
+    mnemonic: undefined,               // Derive signers from this mnemonic instead of the default accounts
+    randomAccounts: false,             // Generate random signers instead
+    fund: "10",                        // ETH each provisioned signer is topped up to
+    fundBatch: 100,                    // Funding transfers in flight at once
+    repeat: 1,                         // Runs per worker count
+    mix: undefined,                    // Weighted operation mix (see workloadMix.js)
+    nonceModes: ['retry', 'managed'],  // See nonceManager.js
+    mining: ['auto'],                  // Mining modes, see miningModes.js
+    retryPolicy: undefined,            // fixed, exponential, capped or none (default: the worker's own)
+    maxAttempts: undefined,            // Attempts per transaction (default: the worker's own)
+    retryDelay: undefined,             // Base retry delay in ms (default: the worker's own)
+    maxRetryDelay: undefined,          // Upper bound of the "capped" policy in ms
+    export: true,                      // Write JSON/CSV result files
+    gasReport: true,                   // Gas and fees per operation and signer after every run (see gasAccounting.js)
+    out: undefined,                    // Directory for result files (default: benchmark-results/)
+    workerCache: true,                 // Reuse providers, wallets and contracts within a worker thread
+    rpcBatch: undefined,               // Max JSON-RPC requests per batch (1: no batching, default: ethers' 100)
+    staticNetwork: false,              // Skip eth_chainId network detection in the workers
+    dashboard: false,                  // Serve a live progress page (see liveDashboard.js)
+    dashboardPort: DEFAULT_DASHBOARD_PORT, // Port of the live progress page, 0 for any free port
+    presign: false,                    // Sign every transaction up front and send them raw (see presignedBlast.js)
+    nodePort: undefined,               // Port of the node started for the "hardhat" network (default: any free port)
+    nodeLog: undefined,                // Log file of that node (default: <out>/hardhat-node-<timestamp>.log)
+    rate: undefined,                   // Open loop: target arrival rate in tx/s (see loadGenerator.js)
+    duration: 10,                      // Open loop: seconds per rate, replaces --txs
+    ramp: false,                       // Open loop: step the rate up until saturation
+    rampStart: 10,                     // Ramp: first rate in tx/s
+    rampStep: 10,                      // Ramp: rate increase per step
+    rampMax: 500,                      // Ramp: last rate to try
+    maxFailureRate: 1,                 // Ramp: failure rate (%) that counts as saturated
+    maxP99: 2000,                      // Ramp: end-to-end p99 latency (ms) that counts as saturated
+    attach: false,                     // Run against the contract in the deployment registry (see deploymentRegistry.js)
+    address: undefined,                // Run against the contract at this address
+    redeploy: false,                   // Deploy one fresh contract, register it and run every configuration against it
+    isolation: 'none',                 // Chain state every run starts from: none, snapshot or reset (see runIsolation.js)
+    rpcProxy: false,                   // Route all JSON-RPC traffic through a recording proxy (see rpcProxy.js)
+    rpcTrace: undefined,               // JSON Lines file for every call the proxy forwards, implies rpcProxy
+    seed: 1,                           // Seed of the random recipients and amounts of bench:transfer (see seededRandom.js)
+};
+// --- End Default Configuration ---
+
+/**
+ * Parses a comma-separated list such as "8,16,64".
+ * @param {string|Array|undefined} value - Flag value, or an already parsed array.
+ * @param {Function} [mapItem] - Conversion applied to every item.
+ * @returns {Array|undefined}
+ */
+function parseList(value, mapItem = (item) => item) {
+    if (value === undefined || value === null) {
+        return undefined;
+    }
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map(item => (typeof item === 'string' ? item.trim() : item))
+        .filter(item => item !== '')
+        .map(mapItem);
+}
+
+/**
+ * Task arguments from the environment, for the `hardhat run` scripts, which can't take flags:
+ * ATTACH, CONTRACT_ADDRESS and REDEPLOY (see deploymentOptionsFromEnv), ISOLATION, RPC_TRACE and SEED.
+ * @returns {object} Arguments for resolveConfig; unset variables keep the defaults.
+ */
+function configFromEnv() {
+    return {
+        ...deploymentOptionsFromEnv(),
+        isolation: process.env.ISOLATION,
+        rpcTrace: process.env.RPC_TRACE,
+        seed: process.env.SEED !== undefined ? Number(process.env.SEED) : undefined,
+    };
+}
+
+/**
+ * Builds the run configuration from the defaults, the scenario defaults and the task flags.
+ * @param {object} scenario - Scenario from benchmarkScenarios.js.
+ * @param {object} [args] - Task arguments; undefined values keep the defaults.
+ * @returns {object} Resolved configuration.
+ */
+function resolveConfig(scenario, args = {}) {
+    const config = { ...DEFAULT_CONFIG, ...scenario.defaults };
+    const overrides = {
+        txs: args.txs,
+        workers: parseList(args.workers, Number),
+        amount: args.amount,
+        signers: args.signers,
+        signerMode: args.signerMode,
+        mnemonic: args.mnemonic,
+        randomAccounts: args.randomAccounts ? true : undefined,
+        fund: args.fund,
+        fundBatch: args.fundBatch,
+        repeat: args.repeat,
+        mix: args.mix,
+        nonceModes: parseList(args.nonceModes),
+        mining: parseList(args.mining),
+        retryPolicy: args.retryPolicy,
+        maxAttempts: args.maxAttempts,
+        retryDelay: args.retryDelay,
+        maxRetryDelay: args.maxRetryDelay,
+        export: args.noExport ? false : undefined,
+        gasReport: args.noGasReport ? false : undefined,
+        out: args.out,
+        workerCache: args.noWorkerCache ? false : undefined,
+        rpcBatch: args.rpcBatch,
+        staticNetwork: args.staticNetwork ? true : undefined,
+        dashboard: args.dashboard ? true : undefined,
+        dashboardPort: args.dashboardPort,
+        presign: args.presign ? true : undefined,
+        nodePort: args.nodePort,
+        nodeLog: args.nodeLog,
+        rate: args.rate,
+        duration: args.duration,
+        ramp: args.ramp ? true : undefined,
+        rampStart: args.rampStart,
+        rampStep: args.rampStep,
+        rampMax: args.rampMax,
+        maxFailureRate: args.maxFailureRate,
+        maxP99: args.maxP99,
+        attach: args.attach ? true : undefined,
+        address: args.address,
+        redeploy: args.redeploy ? true : undefined,
+        isolation: args.isolation,
+        rpcProxy: args.rpcProxy ? true : undefined,
+        rpcTrace: args.rpcTrace,
+        seed: args.seed,
+    };
+    for (const [key, value] of Object.entries(overrides)) {
+        if (value !== undefined) {
+            config[key] = value;
+        }
+    }
+
+    if (!Number.isInteger(config.txs) || config.txs < 1) {
+        throw new Error(`Invalid --txs value: ${config.txs}`);
+    }
+    if (config.workers.length === 0 || config.workers.some(count => !Number.isInteger(count) || count < 1)) {
+        throw new Error(`Invalid --workers value: ${config.workers.join(',')}`);
+    }
+    if (!Number.isInteger(config.repeat) || config.repeat < 1) {
+        throw new Error(`Invalid --repeat value: ${config.repeat}`);
+    }
+    if (config.rate !== undefined && !(config.rate > 0)) {
+        throw new Error(`Invalid --rate value: ${config.rate}`);
+    }
+    if (!(config.duration > 0)) {
+        throw new Error(`Invalid --duration value: ${config.duration}`);
+    }
+    if (config.ramp && !(config.rampStart > 0 && config.rampStep > 0 && config.rampMax >= config.rampStart)) {
+        throw new Error(`Invalid ramp: start ${config.rampStart}, step ${config.rampStep}, max ${config.rampMax}`);
+    }
+    if (!SIGNER_MODES.includes(config.signerMode)) {
+        throw new Error(`Unknown signer mode: ${config.signerMode}. Expected: ${SIGNER_MODES.join(', ')}`);
+    }
+    if (config.signerMode === 'fixed' && (!Number.isInteger(config.signers) || config.signers < 1)) {
+        throw new Error(`Invalid --signers value: ${config.signers}`);
+    }
+    parseMiningModes(config.mining); // Throws on unknown modes
+    if (config.retryPolicy !== undefined && !RETRY_POLICIES.includes(config.retryPolicy)) {
+        throw new Error(`Unknown retry policy: ${config.retryPolicy}. Expected: ${RETRY_POLICIES.join(', ')}`);
+    }
+    if (config.rpcBatch !== undefined && (!Number.isInteger(config.rpcBatch) || config.rpcBatch < 1)) {
+        throw new Error(`Invalid --rpc-batch value: ${config.rpcBatch}`);
+    }
+    if (config.nodePort !== undefined && (!Number.isInteger(config.nodePort) || config.nodePort < 1 || config.nodePort > 65535)) {
+        throw new Error(`Invalid --node-port value: ${config.nodePort}`);
+    }
+    if (config.maxAttempts !== undefined && (!Number.isInteger(config.maxAttempts) || config.maxAttempts < 1)) {
+        throw new Error(`Invalid --max-attempts value: ${config.maxAttempts}`);
+    }
+    if (!Number.isInteger(config.seed)) {
+        throw new Error(`Invalid --seed value: ${config.seed}`);
+    }
+    if (config.mix !== undefined) {
+        parseMix(config.mix); // Throws on unknown operations or bad weights
+    }
+    validateDeploymentOptions(config);
+    if (!ISOLATION_MODES.includes(config.isolation)) {
+        throw new Error(`Unknown isolation mode: ${config.isolation}. Expected: ${ISOLATION_MODES.join(', ')}`);
+    }
+    if (config.rpcTrace) {
+        config.rpcProxy = true;
+    }
+    if (config.isolation === 'reset' && (config.attach || config.address)) {
+        throw new Error("--isolation reset wipes the chain before every run, there is no contract left to attach to");
+    }
+    const unknownModes = config.nonceModes.filter(mode => !NONCE_MODES.includes(mode));
+    if (unknownModes.length > 0) {
+        throw new Error(`Unknown nonce mode(s): ${unknownModes.join(', ')}. Expected: ${NONCE_MODES.join(', ')}`);
+    }
+    if (config.presign) {
+        if (!scenario.rawCall) {
+            throw new Error(`--presign is not supported by the ${scenario.name} scenario (supported: counter, deposit, async)`);
+        }
+        if (config.rate !== undefined || config.ramp) {
+            throw new Error("--presign sends a fixed batch and can't be combined with --rate or --ramp");
+        }
+        // The nonces are part of the signed transactions, there is nothing to choose
+        config.nonceModes = ['presigned'];
+    }
+    return config;
+}
+
+/**
+ * Retry policy options set by the task flags, for createRetryPolicy. Unset flags are left out
+ * so the workers' own defaults apply.
+ * @param {object} config
+ * @returns {object}
+ */
+function retryOptionsFor(config) {
+    const options = {
+        name: config.retryPolicy,
+        maxAttempts: config.maxAttempts,
+        baseDelayMs: config.retryDelay,
+        maxDelayMs: config.maxRetryDelay,
+    };
+    return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+}
+
+// The async executor sends once, like the original writeConcurrency.js, unless a retry policy is chosen
+const IN_PROCESS_RETRY = { name: 'none', maxAttempts: 5, baseDelayMs: 1000 };
+
+/**
+ * Helper function to run async tasks with a concurrency limit.
+ * @param {Array<Function>} tasks - Array of functions, each returning a Promise (our transaction tasks).
+ * @param {number} limit - The maximum number of tasks to run concurrently.
+ * @returns {Promise<Array>} Results in task order; a rejected task yields `{ success: false, error }`.
+ */
+async function runTasksWithConcurrency(tasks, limit) {
+    const results = new Array(tasks.length);
+    let activeCount = 0;
+    let taskIndex = 0;
+    let completed = 0;
+    let errors = 0; // Counter for failed tasks
+    const totalTasks = tasks.length;
+    const progressStep = Math.max(Math.floor(totalTasks / 10), 1);
+
+    console.log(`   Running ${totalTasks} tasks with concurrency limit ${limit}...`);
+
+    return new Promise((resolve) => {
+        const runNext = () => {
+            // Base case: All tasks have been processed
+            if (completed === totalTasks) {
+                console.log(`\n   Finished running tasks. ${errors} errors encountered.`);
+                resolve(results);
+                return;
+            }
+
+            // Launch new tasks while the concurrency limit allows and tasks remain
+            while (activeCount < limit && taskIndex < totalTasks) {
+                const currentTaskIndex = taskIndex; // Capture index for the promise handler
+                const task = tasks[currentTaskIndex];
+                taskIndex++;
+                activeCount++;
+
+                task()
+                    .then(result => {
+                        results[currentTaskIndex] = result;
+                        if (result && result.success === false) {
+                            errors++;
+                        }
+                    })
+                    .catch(error => {
+                        errors++;
+                        console.error(`   Task ${currentTaskIndex} failed: ${error.message.split('\n')[0]}`); // Log concise error
+                        results[currentTaskIndex] = { success: false, error: error.message, txIndex: currentTaskIndex };
+                    })
+                    .finally(() => {
+                        activeCount--;
+                        completed++;
+                        // Log progress intermittently
+                        if (completed % progressStep === 0 || completed === totalTasks) {
+                            process.stdout.write(`\r   Progress: ${completed}/${totalTasks} `);
+                        }
+                        runNext();
+                    });
+            }
+        };
+
+        // Start the initial batch of tasks
+        runNext();
+    });
+}
+
+/**
+ * Transactions of a run: --txs in closed loop, rate x duration in open loop.
+ * @param {object} config
+ * @param {number} [rate] - Open-loop arrival rate.
+ * @returns {number}
+ */
+function txCountFor(config, rate) {
+    return rate ? Math.max(Math.round(rate * config.duration), 1) : config.txs;
+}
+
+/**
+ * RPC URL of the network given with --network. The "hardhat" network has none, the runner starts a
+ * node for it instead (see nodeManager.js).
+ * @param {object} hre - Hardhat Runtime Environment.
+ * @returns {string}
+ */
+function resolveRpcUrl(hre) {
+    const rpcUrl = hre.network.config.url;
+    if (!rpcUrl) {
+        throw new Error(`RPC URL could not be determined for network '${hre.network.name}'. Ensure your hardhat.config.js defines a URL for this network.`);
+    }
+    return rpcUrl;
+}
+
+/**
+ * Builds one task per transaction that runs it on a Piscina worker thread.
+ * @returns {Array<Function>} Functions returning a Promise of the worker result.
+ */
+function buildPiscinaTasks(ctx, run, piscina) {
+    const { scenario } = ctx;
+    const { level: workerCount, txCount, privateKeys, nonceBuffer, extraTaskData } = run;
+    console.log(`   Assigning ${txCount} transactions (alternating ${privateKeys.length} signers) across ${workerCount} workers...`);
+    return Array.from({ length: txCount }, (_, i) => {
+        const signerIndex = i % privateKeys.length;
+        const workerData = {
+            contractAddress: ctx.contractAddress,
+            rpcUrl: ctx.workerRpcUrl,
+            privateKey: privateKeys[signerIndex],
+            contractName: scenario.contractName,
+            workerId: i % workerCount,
+            txIndex: i,
+            signerIndex,
+            nonceBuffer,
+            retryOptions: ctx.retryOptions,
+            clientOptions: ctx.clientOptions,
+            ...extraTaskData,
+            ...(scenario.taskFields ? scenario.taskFields(ctx, run, i) : {})
+        };
+        return () => piscina.run(workerData);
+    });
+}
+
+/**
+ * Builds one task per transaction that sends it from the main thread.
+ * @returns {Array<Function>} Functions returning a Promise of the task result.
+ */
+function buildInProcessTasks(ctx, run) {
+    const { scenario } = ctx;
+    const { txCount, signers, nonceBuffer, extraTaskData } = run;
+    return Array.from({ length: txCount }, (_, i) => {
+        const signerIndex = i % signers.length;
+        const signer = signers[signerIndex];
+        const contract = ctx.contract.connect(signer);
+        return async () => {
+            const outcome = await sendWithRetry({
+                signer,
+                send: (overrides) => scenario.send(contract, overrides, extraTaskData),
+                nonceBuffer,
+                signerIndex,
+                retryPolicy: createRetryPolicy({ ...IN_PROCESS_RETRY, ...ctx.retryOptions }),
+                logPrefix: `   Task ${i}`,
+                action: scenario.action
+            });
+            return {
+                success: outcome.success,
+                error: outcome.success ? undefined : outcome.error,
+                hash: outcome.receipt?.hash,
+                blockNumber: outcome.receipt?.blockNumber,
+                timings: outcome.timings,
+                txIndex: i,
+                attempts: outcome.attempts,
+                nonceErrors: outcome.nonceErrors,
+                errorCategory: outcome.errorCategory,
+                retriesByCategory: outcome.retriesByCategory,
+                orderWaits: outcome.orderWaits,
+                gapFilled: outcome.gapFilled,
+                sentHashes: outcome.sentHashes,
+                ...(scenario.resultFields ? scenario.resultFields(outcome, extraTaskData) : {})
+            };
+        };
+    });
+}
+
+/**
+ * Sends the transactions signed by signTransactions as raw transactions, `level` in flight, then
+ * collects the receipts (see presignedBlast.js).
+ * @returns {Promise<{ results: Array<object>, loadStats: object }>} Results in transaction order,
+ *   the phase durations as load stats.
+ */
+async function executePresigned(ctx, run) {
+    const { scenario } = ctx;
+    const { transactions, signPhaseMs } = run.presigned;
+    const submitStartedAt = now();
+    const results = await runTasksWithConcurrency(transactions.map(tx => () => submitTransaction(ctx.provider, tx)), run.level);
+    const submitPhaseMs = now() - submitStartedAt;
+    const accepted = results.filter(res => res.success).length;
+    console.log(`   ${accepted} of ${results.length} raw transactions accepted, waiting for receipts...`);
+    const confirmPhaseMs = await confirmTransactions(ctx.provider, results, ctx.dashboard ? ctx.dashboard.record : undefined);
+    if (scenario.resultFields) {
+        results.forEach(res => Object.assign(res, scenario.resultFields(res, run.extraTaskData)));
+    }
+    return {
+        results,
+        loadStats: summarizePhases({ txCount: results.length, signPhaseMs, submitPhaseMs, confirmPhaseMs, accepted }),
+    };
+}
+
+/**
+ * Sends every transaction of a run and waits for all of them.
+ * Closed loop: Piscina gets everything at once, the async executor keeps `level` in flight.
+ * Open loop (run.rate set): transactions start at a fixed arrival rate, see loadGenerator.js.
+ * Pre-signed runs (run.presigned set) go through executePresigned.
+ * @returns {Promise<{ results: Array<object>, loadStats: object }>} Results in transaction order.
+ */
+async function executeRun(ctx, run) {
+    const { scenario } = ctx;
+    if (run.presigned) {
+        return executePresigned(ctx, run);
+    }
+    const piscina = scenario.executor === 'async' ? undefined : new Piscina({
+        filename: path.resolve(__dirname, scenario.workerFile),
+        maxThreads: run.level
+    });
+
+    try {
+        let tasks = piscina ? buildPiscinaTasks(ctx, run, piscina) : buildInProcessTasks(ctx, run);
+        if (ctx.dashboard) {
+            // Report every finished task to the live page
+            tasks = tasks.map(task => () => task().then(
+                (result) => {
+                    ctx.dashboard.record(result);
+                    return result;
+                },
+                (error) => {
+                    ctx.dashboard.record({ success: false });
+                    throw error;
+                }
+            ));
+        }
+        if (run.rate) {
+            console.log(`   Starting ${tasks.length} transactions at ${run.rate} tx/s (open loop)...`);
+            const { results, stats } = await runOpenLoop(tasks, run.rate);
+            return { results, loadStats: { ...stats, ...summarizeEndToEnd(results) } };
+        }
+        if (piscina) {
+            const taskPromises = tasks.map(task => task());
+            console.log(`   All ${tasks.length} tasks submitted to the worker pool.`);
+            return { results: await Promise.all(taskPromises), loadStats: {} };
+        }
+        console.log(`   Prepared ${tasks.length} transaction tasks.`);
+        return { results: await runTasksWithConcurrency(tasks, run.level), loadStats: {} };
+    } finally {
+        if (piscina) {
+            await piscina.destroy();
+        }
+    }
+}
+
+/**
+ * Deploys a fresh contract (or uses the one shared by all runs), runs one batch of transactions
+ * and verifies the outcome.
+ * @returns {Promise<object>} Row for the summary table.
+ */
+async function runOnce(ctx, { label, level, nonceMode, mining, rate }) {
+    const { scenario, config } = ctx;
+
+    // 1. Deploy a fresh contract instance for this run, unless all runs share one
+    if (ctx.sharedContract) {
+        ctx.contract = ctx.sharedContract.contract;
+        ctx.contractAddress = ctx.sharedContract.address;
+        ctx.contractDeployBlock = ctx.sharedContract.deployBlock;
+        console.log(`   Using ${scenario.contractName} at ${ctx.contractAddress}`);
+    } else {
+        console.log(`   Deploying new ${scenario.contractName} contract...`);
+        const deployment = await resolveDeployment(ctx.hre, scenario.contractName, { signer: ctx.deployer, deployArgs: scenario.deployArgs });
+        ctx.contract = deployment.contract;
+        ctx.contractAddress = deployment.address;
+        ctx.contractDeployBlock = deployment.deployBlock;
+        console.log(`   ${scenario.contractName} deployed to: ${ctx.contractAddress}`);
+    }
+
+    // Signers of this run, the first ones of the provisioned accounts
+    const txCount = txCountFor(config, rate);
+    const signerCount = signerCountFor(config, level, txCount);
+    if (scenario.afterDeploy) {
+        await scenario.afterDeploy(ctx, ctx.signers.slice(0, signerCount));
+    }
+
+    const initialState = await scenario.readState(ctx);
+    scenario.logState(ctx, 'Initial', initialState);
+
+    const run = {
+        level,
+        rate,
+        txCount,
+        privateKeys: ctx.privateKeys.slice(0, signerCount),
+        signers: ctx.signers.slice(0, signerCount),
+        // Nonces are read after the deployment and the scenario's setup, which used signer #0 and maybe others
+        nonceBuffer: nonceMode === 'managed'
+            ? await createNonceBuffer(ctx.provider, ctx.signerAddresses.slice(0, signerCount))
+            : undefined,
+        extraTaskData: scenario.taskData ? scenario.taskData(ctx) : {},
+    };
+    if (config.presign) {
+        // Signed before the clock starts, the signing phase is reported on its own
+        run.presigned = await signTransactions(ctx, run);
+    }
+
+    // 2. Run tasks and measure time. The mining mode only applies to the run, not to the setup.
+    const startBlock = await ctx.provider.getBlockNumber();
+    const miningSession = await startMiningMode(ctx.provider, mining);
+    let execution;
+    let endTime;
+    let rpcMethods;
+    if (ctx.rpcProxy) {
+        ctx.rpcProxy.beginRun(label);
+    }
+    const startTime = performance.now();
+    try {
+        execution = await executeRun(ctx, run);
+        endTime = performance.now();
+    } finally {
+        // Only the run's own traffic, not the mining mode switch or the checks after it
+        rpcMethods = ctx.rpcProxy ? ctx.rpcProxy.endRun() : undefined;
+        await miningSession.stop();
+    }
+    const { results, loadStats } = execution;
+    const durationMs = endTime - startTime;
+    const durationSec = (durationMs / 1000).toFixed(2);
+
+    console.log(`\n   All ${results.length} tasks completed.`);
+    console.log(`   Time taken: ${durationSec} seconds (${durationMs.toFixed(0)} ms)`);
+
+    // 3. Process results
+    const tally = { successes: 0, failures: 0, nonceErrors: 0, retries: 0, gapsFilled: 0, orderWaits: 0 };
+    const failuresByCategory = {};
+    const retriesByCategory = {};
+    const countFailure = (category) => {
+        failuresByCategory[category] = (failuresByCategory[category] || 0) + 1;
+    };
+    results.forEach(res => {
+        if (res && typeof res.success === 'boolean') {
+            tally.nonceErrors += res.nonceErrors || 0;
+            tally.retries += Math.max((res.attempts || 1) - 1, 0);
+            tally.gapsFilled += res.gapFilled ? 1 : 0;
+            tally.orderWaits += res.orderWaits || 0;
+            Object.entries(res.retriesByCategory || {}).forEach(([category, count]) => {
+                retriesByCategory[category] = (retriesByCategory[category] || 0) + count;
+            });
+            if (res.success) {
+                tally.successes++;
+            } else {
+                tally.failures++;
+                countFailure(res.errorCategory || 'unknown');
+            }
+        } else {
+            console.error(`   Received unexpected result from a task (TxIndex: ${res?.txIndex}):`, res);
+            tally.failures++;
+            countFailure('unknown');
+        }
+    });
+
+    console.log(`   Reported Successes: ${tally.successes}`);
+    console.log(`   Reported Failures: ${tally.failures}`);
+    const latency = summarizeLatencies(results, durationMs);
+    console.log(`   Throughput: ${latency.tps} tx/s, submit p50/p99: ${latency.submitP50Ms}/${latency.submitP99Ms} ms, confirmation p50/p99: ${latency.confirmP50Ms}/${latency.confirmP99Ms} ms`);
+    const operations = summarizeOperations(results, durationMs);
+    if (operations.length > 0) {
+        console.table(operations, OPERATION_COLUMNS);
+    }
+    if (run.presigned) {
+        console.log(`   Phases: signed at ${loadStats.signTps} tx/s (${loadStats.signPhaseMs} ms), ingested at ${loadStats.ingestTps} tx/s (${loadStats.submitPhaseMs} ms), receipts ${loadStats.confirmPhaseMs} ms after the last submission`);
+    }
+    if (rate) {
+        console.log(`   Open loop: target ${rate} tx/s, sent at ${loadStats.sendRate} tx/s, max backlog ${loadStats.maxBacklog}, end-to-end p99 ${loadStats.e2eP99Ms} ms`);
+    }
+    console.log(`   Nonce Errors: ${tally.nonceErrors} (retries: ${tally.retries}, nonce gaps filled: ${tally.gapsFilled}, waits for earlier nonces: ${tally.orderWaits})`);
+    const clientOverhead = summarizeClientOverhead(results);
+    if (clientOverhead.clientSetupTotalMs !== undefined) {
+        console.log(`   Client setup: ${clientOverhead.clientSetupTotalMs} ms in total (p50 ${clientOverhead.clientSetupP50Ms} ms), ${clientOverhead.providersCreated} providers created for ${results.length} tasks`);
+    }
+    const rpcTraffic = rpcMethods ? summarizeTraffic(rpcMethods, results.length) : {};
+    if (rpcMethods) {
+        console.log(`   JSON-RPC: ${rpcTraffic.rpcCalls} calls (${rpcTraffic.rpcCallsPerTx} per tx), ${rpcTraffic.rpcRequestBytes} bytes sent, ${rpcTraffic.rpcResponseBytes} bytes received`);
+        console.table(rpcMethods, RPC_METHOD_COLUMNS);
+    }
+    const errorCategories = ERROR_CATEGORIES
+        .filter(category => failuresByCategory[category] || retriesByCategory[category])
+        .map(category => `${category} ${failuresByCategory[category] || 0}/${retriesByCategory[category] || 0}`);
+    if (errorCategories.length > 0) {
+        console.log(`   Errors by category (failures/retries): ${errorCategories.join(', ')}`);
+    }
+
+    // 4. Look at the blocks mined during the run, then verify against the chain
+    const { summary: blockSummary, blocks } = await analyzeBlocks(ctx.provider, startBlock, results);
+    console.log(`   Blocks: ${blockSummary.blocks} mined (${blockSummary.emptyBlocks} empty), ${blockSummary.txPerBlockAvg} tx/block avg, ${blockSummary.gasUsedPctAvg}% gas used avg -> limited by ${blockSummary.limitedBy}`);
+    let gasStats = {};
+    if (config.gasReport) {
+        // The owner sends the mix scenario's withdrawAll and deploys every contract
+        const accounts = [...new Set([...ctx.signerAddresses.slice(0, signerCount), ctx.deployer.address])];
+        gasStats = await accountGas(ctx, { startBlock, blocks, results, accounts });
+        reportGas(gasStats);
+    }
+    const reconciliation = scenario.events
+        ? reportReconciliation(await reconcileEvents(ctx.contract, scenario.events, startBlock + 1, results))
+        : {};
+    const finalState = await scenario.readState(ctx);
+    scenario.logState(ctx, 'Final', finalState);
+    const verification = await scenario.verify(ctx, initialState, finalState, results, tally);
+    if (verification.ok) {
+        console.log(`   ✅ Verification Success! ${verification.message}`);
+    } else {
+        console.error(`   ❌ Verification Failed! ${verification.message}`);
+        console.error(`   (${tally.failures} tasks reported failure or were unexpected)`);
+    }
+
+    return {
+        [scenario.levelKey]: level,
+        nonceMode: nonceMode,
+        mining: mining.label,
+        signers: signerCount,
+        durationMs: durationMs,
+        durationSec: parseFloat(durationSec),
+        ...verification.fields,
+        successes: tally.successes,
+        failures: tally.failures,
+        nonceErrors: tally.nonceErrors,
+        retries: tally.retries,
+        gapsFilled: tally.gapsFilled,
+        orderWaits: tally.orderWaits,
+        failuresByCategory,
+        retriesByCategory,
+        verified: verification.ok,
+        ...reconciliation,
+        ...latency,
+        ...clientOverhead,
+        ...loadStats,
+        ...blockSummary,
+        ...gasStats,
+        ...rpcTraffic,
+        ...(rpcMethods ? { rpc: rpcMethods } : {}),
+        ...(operations.length > 0 ? { operations } : {}),
+        ...(rate ? { behindTargetPct: Math.round(((rate - latency.tps) / rate) * 1000) / 10 } : {}),
+    };
+}
+
+/**
+ * Columns of the main summary table: everything except the latency columns, which get their own table.
+ * @param {object} benchmarkResults - Summary table rows.
+ * @returns {Array<string>}
+ */
+function summaryColumns(benchmarkResults) {
+    const columns = new Set(Object.values(benchmarkResults).flatMap(row => Object.keys(row)));
+    return [...columns].filter(column =>
+        !LATENCY_COLUMNS.includes(column) && !LOAD_COLUMNS.includes(column) && !BLOCK_COLUMNS.includes(column) &&
+        !CLIENT_COLUMNS.includes(column) && !PHASE_COLUMNS.includes(column) && !GAS_COLUMNS.includes(column) &&
+        !RPC_COLUMNS.includes(column) &&
+        !['operations', 'gas', 'rpc', 'failuresByCategory', 'retriesByCategory'].includes(column)
+    );
+}
+
+/**
+ * Runs a scenario for every worker count (or concurrency level), nonce mode and repetition.
+ * @param {object} hre - Hardhat Runtime Environment.
+ * @param {object} scenario - Scenario from benchmarkScenarios.js.
+ * @param {object} config - Configuration from resolveConfig.
+ * @returns {Promise<object>} The summary table rows, keyed by run label.
+ */
+async function runBenchmark(hre, scenario, config) {
+    console.log(`Starting ${scenario.title}...`);
+    console.log(`Contract: ${scenario.contractName}`);
+    if (config.ramp) {
+        console.log(`Open loop ramp: ${config.rampStart} to ${config.rampMax} tx/s in steps of ${config.rampStep}, ${config.duration}s each`);
+        console.log(`Saturation thresholds: failure rate > ${config.maxFailureRate}%, end-to-end p99 > ${config.maxP99} ms`);
+    } else if (config.rate) {
+        console.log(`Open loop: ${config.rate} tx/s for ${config.duration}s (${txCountFor(config, config.rate)} transactions per run)`);
+    } else {
+        console.log(`Total Transactions per run: ${config.txs}`);
+    }
+    if (scenario.usesAmount) {
+        console.log(`Amount per transaction: ${config.amount} ETH`);
+    }
+    console.log(`${scenario.levelLabel} values to test: ${config.workers.join(', ')}`);
+    console.log(`Nonce Modes to test: ${config.nonceModes.join(', ')}`);
+    const miningModes = parseMiningModes(config.mining);
+    console.log(`Mining modes to test: ${miningModes.map(mode => mode.label).join(', ')}`);
+    console.log(`Signer mode: ${config.signerMode}${config.signerMode === 'fixed' ? ` (${config.signers} signers)` : ''}`);
+    if (Object.keys(retryOptionsFor(config)).length > 0) {
+        console.log(`Retry policy: ${JSON.stringify(retryOptionsFor(config))}`);
+    }
+    if (config.repeat > 1) {
+        console.log(`Repetitions per ${scenario.levelLabel} value: ${config.repeat}`);
+    }
+    console.log(`Isolation between runs: ${config.isolation}`);
+
+    await hre.run('compile'); // Ensure contracts are compiled
+
+    const numCPUs = os.cpus().length;
+    config.workers.forEach(count => {
+        if (scenario.executor !== 'async' && count > numCPUs) {
+            console.warn(`⚠️ Warning: Testing with ${count} workers, which is more than the system's ${numCPUs} logical CPU cores. Performance might plateau or decrease.`);
+        }
+        if (count > signerCountFor(config, count)) {
+            console.warn(`⚠️ Warning: Testing with ${count} ${scenario.levelKey}, but only ${signerCountFor(config, count)} distinct signers. Signers will be heavily reused.`);
+        }
+    });
+
+    // The in-process "hardhat" network can't be reached from the worker threads, so it gets a node of its own
+    let node;
+    let rpcUrl;
+    if (config.attach || config.address) {
+        requirePersistentNetwork(hre);
+    }
+    if (hre.network.name === 'hardhat') {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        node = await startNode(hre, {
+            port: config.nodePort,
+            logFile: path.resolve(config.nodeLog || path.join(config.out || DEFAULT_RESULTS_DIR, `hardhat-node-${timestamp}.log`)),
+        });
+        rpcUrl = node.url;
+        console.log(`Started a Hardhat node at ${node.url} (pid ${node.pid}), log: ${node.logFile}`);
+    } else {
+        rpcUrl = resolveRpcUrl(hre);
+        await checkNode(rpcUrl);
+    }
+
+    let rpcProxy;
+    try {
+        if (config.rpcProxy) {
+            rpcProxy = await startRpcProxy({ target: rpcUrl, traceFile: config.rpcTrace && path.resolve(config.rpcTrace) });
+            console.log(`Recording JSON-RPC proxy at ${rpcProxy.url} in front of ${rpcUrl}${config.rpcTrace ? `, trace: ${path.resolve(config.rpcTrace)}` : ''}`);
+        }
+        return await runOnNode(hre, scenario, config, { rpcUrl, node, miningModes, rpcProxy });
+    } finally {
+        if (rpcProxy) {
+            await rpcProxy.close();
+        }
+        if (node) {
+            await node.stop();
+            console.log(`Stopped the Hardhat node, its log is in ${node.logFile}`);
+        }
+    }
+}
+
+/**
+ * Provisions the signers, runs every configuration against the node at `rpcUrl` and prints the report.
+ * @param {object} hre - Hardhat Runtime Environment.
+ * @param {object} scenario - Scenario from benchmarkScenarios.js.
+ * @param {object} config - Configuration from resolveConfig.
+ * @param {object} target - `{ rpcUrl, node, miningModes, rpcProxy }`, `node` being the node started by the
+ *   runner and `rpcProxy` the recording proxy, if any.
+ * @returns {Promise<object>} The summary table rows, keyed by run label.
+ */
+async function runOnNode(hre, scenario, config, { rpcUrl, node, miningModes, rpcProxy }) {
+    const { ethers } = hre;
+    // The same plain JSON-RPC provider for every network. Without batching the main thread's
+    // requests (pre-signed submissions, the async executor) go out as they are made. ethers shares
+    // identical requests made within 250ms by default, which would hand the nonce table the nonce
+    // from before the deployment.
+    const provider = new ethers.JsonRpcProvider(rpcProxy ? rpcProxy.urlFor('runner') : rpcUrl, undefined, {
+        batchMaxCount: 1,
+        cacheTimeout: -1,
+        pollingInterval: RECEIPT_POLL_INTERVAL_MS,
+    });
+
+    // Provision enough signers for the largest run, every run uses the first N of them
+    const maxTxCount = txCountFor(config, config.ramp ? config.rampMax : config.rate);
+    const maxSigners = Math.max(...config.workers.map(level => signerCountFor(config, level, maxTxCount)));
+    const privateKeys = await provisionAccounts(ethers, provider, {
+        count: maxSigners,
+        mnemonic: config.mnemonic,
+        random: config.randomAccounts,
+        fundAmount: config.fund,
+        batchSize: config.fundBatch,
+    });
+    console.log(`Using up to ${privateKeys.length} signers.`);
+    const ctx = {
+        hre,
+        ethers,
+        provider,
+        scenario,
+        config,
+        privateKeys,
+        signerAddresses: privateKeys.map(key => new ethers.Wallet(key).address),
+        signers: privateKeys.map(key => new ethers.Wallet(key, provider)),
+        // Deploys every contract, so it owns them (see the mix scenario)
+        deployer: new ethers.Wallet(HARDHAT_PRIVATE_KEYS[0], provider),
+        rpcUrl,
+        // Where the worker threads send their requests, the proxy if there is one
+        workerRpcUrl: rpcProxy ? rpcProxy.urlFor('workers') : rpcUrl,
+        rpcProxy,
+        node,
+    };
+    ctx.retryOptions = retryOptionsFor(config);
+    ctx.clientOptions = {
+        cache: config.workerCache,
+        rpcBatch: config.rpcBatch,
+        staticNetwork: config.staticNetwork,
+        chainId: Number((await provider.getNetwork()).chainId),
+    };
+    console.log(`Worker clients: ${config.workerCache ? 'reused per thread' : 'new per task'}, JSON-RPC batch: ${config.rpcBatch ?? 'ethers default'}, network: ${config.staticNetwork ? 'static' : 'detected'}`);
+    if (scenario.prepare) {
+        scenario.prepare(ctx);
+    }
+    // One contract for every run: verification compares each run's final state with its initial state.
+    // Snapshot isolation reverts to a chain that already holds it.
+    const shareContract = config.attach || config.address || config.redeploy || config.isolation === 'snapshot';
+    const setUpSharedContract = async () => {
+        ctx.sharedContract = await resolveDeployment(hre, scenario.contractName, {
+            attach: config.attach,
+            address: config.address,
+            signer: ctx.deployer,
+            deployArgs: scenario.deployArgs,
+        });
+        const source = ctx.sharedContract.attached ? 'attached' : 'deployed';
+        console.log(`${scenario.contractName} ${source} at ${ctx.sharedContract.address}, shared by all runs${ctx.sharedContract.registryFile ? ` (registry: ${ctx.sharedContract.registryFile})` : ''}`);
+    };
+    if (shareContract) {
+        await setUpSharedContract();
+    }
+    ctx.isolation = await startIsolation(provider, config.isolation, {
+        // After hardhat_reset only the default accounts hold ETH and nothing is deployed
+        setup: async () => {
+            await topUpAccounts(ethers, provider, privateKeys, config.fund, config.fundBatch);
+            if (shareContract) {
+                await setUpSharedContract();
+            }
+        },
+    });
+
+    const runConfigs = config.workers.flatMap(level =>
+        config.nonceModes.flatMap(nonceMode =>
+            miningModes.flatMap(mining =>
+                Array.from({ length: config.repeat }, (_, index) => ({ level, nonceMode, mining, repetition: index + 1 }))
+            )
+        )
+    );
+
+    const benchmarkResults = {};
+    const rampResults = {};
+    // Runs one configuration and keeps the live page up to date
+    const runTracked = async (label, options) => {
+        await ctx.isolation.beforeRun();
+        if (ctx.dashboard) {
+            ctx.dashboard.startRun(label, txCountFor(config, options.rate));
+        }
+        const row = await runOnce(ctx, { ...options, label });
+        benchmarkResults[label] = row;
+        if (ctx.dashboard) {
+            ctx.dashboard.endRun(label, row);
+        }
+        return row;
+    };
+
+    if (config.dashboard) {
+        ctx.dashboard = await startDashboard({ title: scenario.title, provider, port: config.dashboardPort });
+        console.log(`Live dashboard: ${ctx.dashboard.url}`);
+    }
+    try {
+        for (const { level, nonceMode, mining, repetition } of runConfigs) {
+            const repetitionLabel = config.repeat > 1 ? ` #${repetition}` : '';
+            // Automine runs keep their old labels, so bench:compare still matches them with older files
+            const modeLabel = mining.kind === 'auto' ? nonceMode : `${nonceMode}, ${mining.label}`;
+            const runLabel = `${level} (${modeLabel})${repetitionLabel}`;
+
+            if (config.ramp) {
+                const saturation = await runRamp({
+                    startRate: config.rampStart,
+                    step: config.rampStep,
+                    maxRate: config.rampMax,
+                    maxFailureRate: config.maxFailureRate,
+                    maxP99Ms: config.maxP99,
+                    runStep: async (rate) => {
+                        console.log(`\n--- Testing ${scenario.levelLabel}: ${level} (nonce mode: ${nonceMode}, mining: ${mining.label})${repetitionLabel} at ${rate} tx/s ---`);
+                        return runTracked(`${runLabel} @${rate}/s`, { level, nonceMode, mining, rate });
+                    },
+                });
+                rampResults[runLabel] = saturation;
+                console.log(`\n   Saturation point: ${saturation.saturationRate ?? 'below the first step'} tx/s (${saturation.reason})`);
+                continue;
+            }
+
+            const rateLabel = config.rate ? ` @${config.rate}/s` : '';
+            console.log(`\n--- Testing ${scenario.levelLabel}: ${level} (nonce mode: ${nonceMode}, mining: ${mining.label})${repetitionLabel}${rateLabel} ---`);
+            await runTracked(`${runLabel}${rateLabel}`, { level, nonceMode, mining, rate: config.rate });
+        }
+    } finally {
+        if (ctx.dashboard) {
+            await ctx.dashboard.close();
+        }
+    }
+
+    // --- Final Report ---
+    console.log(`\n--- ${scenario.title} Summary ---`);
+    if (!config.rate && !config.ramp) {
+        console.log(`Total Transactions attempted per run: ${config.txs}`);
+    }
+    if (scenario.usesAmount) {
+        console.log(`Amount per tx: ${config.amount} ETH`);
+    }
+    console.table(benchmarkResults, summaryColumns(benchmarkResults));
+    const runColumns = [scenario.levelKey, 'nonceMode', 'mining'];
+    if (miningModes.length > 1) {
+        console.log("\nMining modes (throughput, confirmation latency and transactions per block):");
+        console.table(benchmarkResults, [...runColumns, 'tps', 'confirmP50Ms', 'confirmP99Ms', 'txPerBlockAvg', 'txPerBlockMax', 'blockIntervalAvgSec']);
+    }
+    console.log("\nLatency per run (submit: send until hash returned, confirm: hash until receipt):");
+    console.table(benchmarkResults, [...runColumns, ...LATENCY_COLUMNS]);
+    if (config.presign) {
+        console.log("\nPre-signed phases per run (sign: before the run, submit: eth_sendRawTransaction until the last hash, confirm: until the last receipt):");
+        console.table(benchmarkResults, [...runColumns, ...PHASE_COLUMNS]);
+    } else if (scenario.executor !== 'async') {
+        console.log("\nClient overhead per run (provider, wallet and contract setup in the workers, not part of the latencies above):");
+        console.table(benchmarkResults, [...runColumns, ...CLIENT_COLUMNS]);
+    }
+    const errorRows = Object.entries(benchmarkResults).flatMap(([label, row]) =>
+        ERROR_CATEGORIES
+            .filter(category => row.failuresByCategory[category] || row.retriesByCategory[category])
+            .map(category => ({
+                run: label,
+                category,
+                failures: row.failuresByCategory[category] || 0,
+                retries: row.retriesByCategory[category] || 0,
+            }))
+    );
+    if (errorRows.length > 0) {
+        console.log("\nFailures and retries by error category:");
+        console.table(errorRows);
+    }
+    const operationRows = Object.entries(benchmarkResults).flatMap(([label, row]) =>
+        (row.operations || []).map(operation => ({ run: label, ...operation }))
+    );
+    if (operationRows.length > 0) {
+        console.log("\nOperations per run (latency: send until receipt, or until the eth_call returned):");
+        console.table(operationRows, ['run', ...OPERATION_COLUMNS]);
+    }
+    console.log("\nBlocks mined per run:");
+    console.table(benchmarkResults, [...runColumns, ...BLOCK_COLUMNS]);
+    if (config.gasReport) {
+        console.log("\nGas and fees per run (gasPerTxAvg: successful benchmark transactions; totals include reverts, retries and gap fillers):");
+        console.table(benchmarkResults, [...runColumns, ...GAS_COLUMNS]);
+        const gasRows = findGasOutliers(benchmarkResults);
+        if (Object.keys(benchmarkResults).length > 1 && gasRows.length > 0) {
+            console.log(`\nGas per operation across runs (outlier: more than ${GAS_OUTLIER_PCT}% from the median of all runs):`);
+            console.table(gasRows.map(row => ({ ...row, outlier: row.outlier ? '⚠️' : '' })));
+            const outliers = gasRows.filter(row => row.outlier);
+            if (outliers.length > 0) {
+                console.warn(`⚠️ Gas outliers: ${outliers.map(row => `${row.operation} in ${row.run} (${row.deviationPct > 0 ? '+' : ''}${row.deviationPct}%)`).join(', ')}`);
+            }
+        }
+    }
+    if (config.rate || config.ramp) {
+        console.log("\nOpen loop per run (e2e: scheduled arrival until receipt):");
+        console.table(benchmarkResults, [...runColumns, ...LOAD_COLUMNS]);
+    }
+    if (config.ramp) {
+        console.log("\nSaturation points (highest rate within the thresholds):");
+        console.table(rampResults);
+    }
+    const rpcTotals = ctx.rpcProxy ? ctx.rpcProxy.summary() : null;
+    if (ctx.rpcProxy) {
+        console.log("\nJSON-RPC traffic per run (sent by the workers and the runner while the transactions ran):");
+        console.table(benchmarkResults, [...runColumns, ...RPC_COLUMNS]);
+        const rpcRows = Object.entries(benchmarkResults).flatMap(([label, row]) =>
+            (row.rpc || []).map(method => ({ run: label, ...method }))
+        );
+        console.log("\nJSON-RPC calls per run and method (latency: round trip from the proxy to the node):");
+        console.table(rpcRows, ['run', ...RPC_METHOD_COLUMNS]);
+        console.log("\nJSON-RPC calls of the whole benchmark, including setup, mining and verification:");
+        console.table(rpcTotals, RPC_METHOD_COLUMNS);
+        if (config.rpcTrace) {
+            console.log(`Every call is in ${path.resolve(config.rpcTrace)}`);
+        }
+    }
+    reportNonceCollisionsAvoided(benchmarkResults, scenario.levelKey);
+
+    if (config.export) {
+        const environment = await collectEnvironment(ctx);
+        const extra = {
+            ...(config.ramp ? { saturation: rampResults } : {}),
+            ...(rpcTotals ? { rpcTraffic: rpcTotals } : {}),
+        };
+        const { jsonPath, csvPath } = writeResults(environment, benchmarkResults, config.out, extra);
+        console.log(`\nResults written to ${jsonPath} and ${csvPath}`);
+    }
+    console.log(`\n${scenario.closingMessage}`);
+
+    return benchmarkResults;
+}
+
+module.exports = {
+    DEFAULT_CONFIG,
+    parseList,
+    configFromEnv,
+    resolveConfig,
+    runTasksWithConcurrency,
+    runBenchmark
+};
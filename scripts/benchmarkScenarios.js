@@ -0,0 +1,488 @@
+// scripts/benchmarkScenarios.js
+//
+// What each benchmark deploys, sends and verifies. The loop around it lives in benchmarkRunner.js.
+//
+// A scenario has:
+//   name                   - Key in SCENARIOS, also used to name result files
+//   contractName           - Contract deployed fresh for every run
+//   deployArgs             - Optional constructor arguments
+//   executor               - 'piscina' (worker threads, `workerFile`) or 'async' (main thread, `send`)
+//   send(contract, overrides, taskData)  - Sends one transaction (async executor)
+//   rawCall(taskData)      - Optional `{ method, args, value }` of every transaction, enables --presign
+//   prepare(ctx)           - Optional, called once before the first run
+//   afterDeploy(ctx, signers)          - Optional setup transactions after every deployment, before
+//                            the initial state is read (e.g. funding the run's signers)
+//   taskData(ctx)          - Extra fields handed to every task
+//   taskFields(ctx, run, txIndex)       - Optional per-task fields (piscina executor), may replace
+//                            privateKey/signerIndex/nonceBuffer to send from another account
+//   events                 - Events the sent transactions emit, reconciled with the reports (eventReconciler.js)
+//   payouts                - Optional events whose `amount` the contract sent out, mapped to the argument
+//                            naming the receiving account, for the signer ETH check (gasAccounting.js)
+//   readState(ctx)         - On-chain state compared before and after the run
+//   verify(ctx, initialState, finalState, results, tally) - Returns { ok, message, fields }, or a promise of it
+
+const { HARDHAT_PRIVATE_KEYS } = require('./constants.js');
+const { MIX_OPERATIONS, DEFAULT_MIX, parseMix, buildSchedule } = require('./workloadMix.js');
+const { loadScenarioDefinition, selectSigner } = require('./scenarioDefinition.js');
+const { createRandom } = require('./seededRandom.js');
+
+// --- Counter ---
+const counter = {
+    name: 'counter',
+    title: "World Saving Multi-Core Worker Benchmark",
+    contractName: "Counter",
+    executor: 'piscina',
+    workerFile: 'workerBenchmark.js',
+    action: 'Increment',
+    events: ['Incremented'],
+    levelKey: 'workers',
+    levelLabel: 'Worker Threads',
+    closingMessage: "Multi-core benchmark complete. The world's status is stable.",
+    defaults: {},
+
+    send: (contract, overrides) => contract.increment(overrides),
+    rawCall: () => ({ method: 'increment' }),
+
+    async readState({ contract }) {
+        return { count: await contract.count() };
+    },
+
+    logState(ctx, label, state) {
+        console.log(`   ${label} count: ${state.count.toString()}`);
+    },
+
+    verify(ctx, initialState, finalState, results, tally) {
+        const expectedCount = initialState.count + BigInt(tally.successes);
+        const ok = finalState.count === expectedCount;
+        return {
+            ok,
+            message: ok
+                ? `Final count (${finalState.count}) matches expected count based on successful reports (${expectedCount}).`
+                : `Final count (${finalState.count}) does NOT match expected (${expectedCount}).`,
+            fields: { finalCount: finalState.count.toString() },
+        };
+    },
+};
+
+// --- AccountBalance deposits ---
+const deposit = {
+    name: 'deposit',
+    title: "AccountBalance Multi-Core Worker Benchmark",
+    contractName: "AccountBalance",
+    executor: 'piscina',
+    workerFile: 'workerAccountBalance.js',
+    action: 'Deposit',
+    events: ['Deposited'],
+    usesAmount: true,
+    levelKey: 'workers',
+    levelLabel: 'Worker Threads',
+    closingMessage: "AccountBalance benchmark complete. The world's financial stability is being monitored.",
+    defaults: {},
+
+    send: (contract, overrides, { depositAmountWei }) => contract.deposit({
+        ...overrides,
+        value: depositAmountWei // Send Ether with the transaction
+    }),
+    rawCall: ({ depositAmountWei }) => ({ method: 'deposit', value: depositAmountWei }),
+
+    taskData({ ethers, config }) {
+        return { depositAmountWei: ethers.parseEther(config.amount) };
+    },
+
+    resultFields(outcome, { depositAmountWei }) {
+        return { amountDeposited: outcome.success ? depositAmountWei.toString() : "0" };
+    },
+
+    async readState({ provider, contractAddress }) {
+        return { contractBalance: await provider.getBalance(contractAddress) };
+    },
+
+    logState({ ethers }, label, state) {
+        console.log(`   ${label} contract ETH balance: ${ethers.formatEther(state.contractBalance)} ETH`);
+    },
+
+    verify({ ethers }, initialState, finalState, results) {
+        const totalAmountDepositedWei = results
+            .filter(res => res && res.success)
+            .reduce((sum, res) => sum + BigInt(res.amountDeposited), BigInt(0));
+        console.log(`   Total Amount Reported Deposited: ${ethers.formatEther(totalAmountDepositedWei)} ETH`);
+
+        const expectedContractEthBalance = initialState.contractBalance + totalAmountDepositedWei;
+        const ok = finalState.contractBalance === expectedContractEthBalance;
+        return {
+            ok,
+            message: ok
+                ? "Final contract balance matches expected total deposits."
+                : `Final contract balance (${ethers.formatEther(finalState.contractBalance)}) does NOT match expected (${ethers.formatEther(expectedContractEthBalance)}).`,
+            fields: {
+                finalContractBalanceETH: ethers.formatEther(finalState.contractBalance),
+                totalDepositedETH: ethers.formatEther(totalAmountDepositedWei),
+            },
+        };
+    },
+};
+
+// --- AccountBalance weighted mix of deposits, reads, direct sends and owner withdrawals ---
+const mix = {
+    ...deposit,
+    name: 'mix',
+    title: "AccountBalance Mixed Workload Benchmark",
+    action: 'Operation',
+    events: ['Deposited', 'WithdrawnByOwner'],
+    payouts: { WithdrawnByOwner: 'owner' },
+    closingMessage: "Mixed workload benchmark complete. Every wei is accounted for.",
+    defaults: { mix: DEFAULT_MIX },
+
+    prepare(ctx) {
+        const entries = parseMix(ctx.config.mix);
+        ctx.mixEntries = entries;
+        ctx.mixSchedule = buildSchedule(entries);
+        console.log(`Operation mix: ${entries.map(({ operation, weight }) => `${operation} ${weight}`).join(', ')}`);
+    },
+
+    // Owner-only operations are sent by the contract's owner. The runner's deployments belong to the
+    // deployer (first default account), a contract from --address or --attach to whoever deployed it.
+    async afterDeploy(ctx) {
+        const owner = await ctx.contract.owner();
+        ctx.ownerAddress = owner;
+        ctx.ownerKey = [...HARDHAT_PRIVATE_KEYS, ...ctx.privateKeys]
+            .find(key => new ctx.ethers.Wallet(key).address === owner);
+        const ownerOnly = ctx.mixEntries
+            .filter(({ operation, weight }) => weight > 0 && MIX_OPERATIONS[operation].ownerOnly)
+            .map(({ operation }) => operation);
+        if (!ctx.ownerKey && ownerOnly.length > 0) {
+            throw new Error(`${ctx.scenario.contractName} at ${ctx.contractAddress} is owned by ${owner}, which is none of the known signers, so every ${ownerOnly.join(', ')} would revert. Use --redeploy or leave ${ownerOnly.join(', ')} out of --mix.`);
+        }
+    },
+
+    taskFields(ctx, run, txIndex) {
+        const operation = ctx.mixSchedule[txIndex % ctx.mixSchedule.length];
+        if (!MIX_OPERATIONS[operation].ownerOnly) {
+            return { operation };
+        }
+        // Owner transactions use the owner's slot in the nonce table, or ethers' nonces if it has none
+        const ownerIndex = run.privateKeys.indexOf(ctx.ownerKey);
+        return {
+            operation,
+            privateKey: ctx.ownerKey,
+            signerIndex: ownerIndex >= 0 ? ownerIndex : undefined,
+            nonceBuffer: ownerIndex >= 0 ? run.nonceBuffer : undefined,
+        };
+    },
+
+    resultFields: undefined,
+    rawCall: undefined, // Mixed operations and senders, nothing to sign up front
+
+    async readState({ provider, contract, contractAddress, signerAddresses, ownerAddress }) {
+        const accounts = [...new Set([ownerAddress, ...signerAddresses])];
+        const balances = await Promise.all(accounts.map(account => contract.getBalance(account)));
+        return {
+            contractBalance: await provider.getBalance(contractAddress),
+            mappedBalance: balances.reduce((sum, balance) => sum + balance, BigInt(0)),
+        };
+    },
+
+    logState({ ethers }, label, state) {
+        console.log(`   ${label} contract ETH balance: ${ethers.formatEther(state.contractBalance)} ETH, sum of balances mapping: ${ethers.formatEther(state.mappedBalance)} ETH`);
+    },
+
+    // withdrawAll moves the contract's ETH to the owner but leaves the balances mapping as it is,
+    // so the two drift apart by exactly the amount withdrawn
+    verify({ ethers }, initialState, finalState, results) {
+        const succeeded = results.filter(res => res && res.success);
+        const credited = succeeded.reduce((sum, res) => sum + BigInt(res.amountDeposited || 0), BigInt(0));
+        const withdrawn = succeeded.reduce((sum, res) => sum + BigInt(res.amountWithdrawn || 0), BigInt(0));
+        console.log(`   Total Amount Reported Credited: ${ethers.formatEther(credited)} ETH, withdrawn by owner: ${ethers.formatEther(withdrawn)} ETH`);
+
+        const expectedContractBalance = initialState.contractBalance + credited - withdrawn;
+        const expectedMappedBalance = initialState.mappedBalance + credited;
+        const problems = [];
+        if (finalState.contractBalance !== expectedContractBalance) {
+            problems.push(`contract balance ${ethers.formatEther(finalState.contractBalance)} ETH, expected ${ethers.formatEther(expectedContractBalance)} ETH`);
+        }
+        if (finalState.mappedBalance !== expectedMappedBalance) {
+            problems.push(`balances mapping sums to ${ethers.formatEther(finalState.mappedBalance)} ETH, expected ${ethers.formatEther(expectedMappedBalance)} ETH`);
+        }
+        return {
+            ok: problems.length === 0,
+            message: problems.length === 0
+                ? "Contract balance matches credits minus withdrawals, balances mapping matches credits."
+                : `Mismatch: ${problems.join('; ')}.`,
+            fields: {
+                finalContractBalanceETH: ethers.formatEther(finalState.contractBalance),
+                totalCreditedETH: ethers.formatEther(credited),
+                totalWithdrawnETH: ethers.formatEther(withdrawn),
+            },
+        };
+    },
+};
+
+// --- AccountBalance withdrawals and transfers between the run's signers ---
+// Share of the tasks that withdraw instead of transferring
+const TRANSFER_WITHDRAW_SHARE = 0.1;
+
+/**
+ * Replays the ledger events of the contract together with the run's reverted transactions, in
+ * chain order, to tell reverts that were right (the sender's balance didn't cover the amount) from
+ * ones that weren't, and to catch transfers or withdrawals that overdrew an account.
+ * The events are read from the contract's deployment block on, or from block 0 if it isn't known (--address).
+ * @returns {Promise<object>} `{ transfers, withdrawals, withdrawn, insufficientBalanceReverts, unexpectedReverts, overdrafts }`
+ */
+async function replayTransfers({ contract, contractDeployBlock, provider }, results) {
+    const fromBlock = contractDeployBlock ?? 0;
+    const [deposits, transfers, withdrawals] = await Promise.all(['Deposited', 'Transferred', 'Withdrawn']
+        .map(name => contract.queryFilter(contract.filters[name](), fromBlock, 'latest')));
+    // A revert on-chain is the last hash its task sent
+    const reverted = results.filter(res => res && !res.success && res.errorCategory === 'revert' && res.amount !== undefined && res.sentHashes?.length > 0);
+    const receipts = (await Promise.all(reverted.map(async res => {
+        const receipt = await provider.getTransactionReceipt(res.sentHashes[res.sentHashes.length - 1]);
+        return receipt && { receipt, amount: BigInt(res.amount) };
+    }))).filter(Boolean);
+
+    // The whole history sets the balances, but only the run's own transactions are counted, including
+    // earlier attempts that landed after a retry: an attached contract (--attach) has seen earlier runs
+    const runHashes = new Set(results.filter(Boolean).flatMap(res => [res.hash, ...(res.sentHashes || [])]));
+    const inRun = (log) => runHashes.has(log.transactionHash);
+
+    const timeline = [
+        ...deposits.map(log => ({ block: log.blockNumber, index: log.transactionIndex, kind: 'Deposited', args: log.args })),
+        ...transfers.map(log => ({ block: log.blockNumber, index: log.transactionIndex, kind: 'Transferred', args: log.args })),
+        ...withdrawals.map(log => ({ block: log.blockNumber, index: log.transactionIndex, kind: 'Withdrawn', args: log.args, inRun: inRun(log) })),
+        ...receipts.map(({ receipt, amount }) => ({ block: receipt.blockNumber, index: receipt.index, kind: 'revert', from: receipt.from, amount })),
+    ].sort((a, b) => a.block - b.block || a.index - b.index);
+
+    const balances = new Map();
+    const balanceOf = (account) => balances.get(account) || BigInt(0);
+    const debit = (account, amount) => {
+        const covered = balanceOf(account) >= amount;
+        balances.set(account, balanceOf(account) - amount);
+        return covered;
+    };
+    const replay = { transfers: transfers.filter(inRun).length, withdrawals: withdrawals.filter(inRun).length, withdrawn: BigInt(0), insufficientBalanceReverts: 0, unexpectedReverts: 0, overdrafts: 0 };
+    timeline.forEach(entry => {
+        if (entry.kind === 'Deposited') {
+            balances.set(entry.args.account, balanceOf(entry.args.account) + entry.args.amount);
+        } else if (entry.kind === 'Transferred') {
+            replay.overdrafts += debit(entry.args.from, entry.args.amount) ? 0 : 1;
+            balances.set(entry.args.to, balanceOf(entry.args.to) + entry.args.amount);
+        } else if (entry.kind === 'Withdrawn') {
+            replay.overdrafts += debit(entry.args.account, entry.args.amount) ? 0 : 1;
+            replay.withdrawn += entry.inRun ? entry.args.amount : BigInt(0);
+        } else if (balanceOf(entry.from) < entry.amount) {
+            replay.insufficientBalanceReverts++;
+        } else {
+            replay.unexpectedReverts++;
+        }
+    });
+    return replay;
+}
+
+const transfer = {
+    ...deposit,
+    name: 'transfer',
+    title: "AccountBalance Transfer Benchmark",
+    action: 'Transfer',
+    events: ['Transferred', 'Withdrawn'],
+    payouts: { Withdrawn: 'account' },
+    usesAmount: false, // --amount is the starting balance of every signer, logged by afterDeploy
+    closingMessage: "Transfer benchmark complete. Not a wei was created or lost.",
+    defaults: { amount: "0.1" },
+
+    // Every signer of the run deposits --amount, the tasks then move it around. Every run starts
+    // the random choices over from --seed, so runs with the same seed send the same transfers.
+    async afterDeploy(ctx, signers) {
+        const { ethers, contract, config } = ctx;
+        ctx.random = createRandom(config.seed);
+        const amount = ethers.parseEther(config.amount);
+        const txs = await Promise.all(signers.map(signer => contract.connect(signer).deposit({ value: amount })));
+        await Promise.all(txs.map(tx => tx.wait()));
+        console.log(`   Funded ${signers.length} signers with ${config.amount} ETH each.`);
+    },
+
+    // Random recipient among the other signers and a random amount up to a whole starting balance,
+    // so signers that gave away more than they received run dry and their transfers revert
+    taskFields(ctx, run, txIndex) {
+        const signerCount = run.privateKeys.length;
+        const signerIndex = txIndex % signerCount;
+        let recipientIndex = signerCount > 1 ? Math.floor(ctx.random() * (signerCount - 1)) : signerIndex;
+        if (signerCount > 1 && recipientIndex >= signerIndex) {
+            recipientIndex++;
+        }
+        const percent = BigInt(1 + Math.floor(ctx.random() * 100));
+        return {
+            operation: ctx.random() < TRANSFER_WITHDRAW_SHARE ? 'withdraw' : 'transfer',
+            recipient: ctx.signerAddresses[recipientIndex],
+            amountWei: (run.extraTaskData.depositAmountWei * percent) / BigInt(100),
+        };
+    },
+
+    resultFields: undefined,
+    rawCall: undefined, // Random recipients and amounts, nothing to sign up front
+
+    async readState({ provider, contract, contractAddress, signerAddresses }) {
+        const balances = await Promise.all(signerAddresses.map(account => contract.getBalance(account)));
+        return {
+            contractBalance: await provider.getBalance(contractAddress),
+            mappedBalance: balances.reduce((sum, balance) => sum + balance, BigInt(0)),
+        };
+    },
+
+    logState: mix.logState,
+
+    // Transfers only move balance inside the mapping and withdrawals take the same amount out of
+    // both, so the signers' balances have to change by as much as the contract's ETH. On a fresh
+    // contract they sum to it; an attached one may also hold balances of accounts outside the run.
+    async verify(ctx, initialState, finalState, results) {
+        const { ethers } = ctx;
+        const replay = await replayTransfers(ctx, results);
+        console.log(`   Transfers: ${replay.transfers}, withdrawals: ${replay.withdrawals} (${ethers.formatEther(replay.withdrawn)} ETH), reverted for insufficient balance: ${replay.insufficientBalanceReverts}`);
+
+        const problems = [];
+        const mappedChange = finalState.mappedBalance - initialState.mappedBalance;
+        const contractChange = finalState.contractBalance - initialState.contractBalance;
+        if (mappedChange !== contractChange) {
+            problems.push(`balances mapping changed by ${ethers.formatEther(mappedChange)} ETH but the contract's ETH by ${ethers.formatEther(contractChange)} ETH`);
+        }
+        const expectedContractBalance = initialState.contractBalance - replay.withdrawn;
+        if (finalState.contractBalance !== expectedContractBalance) {
+            problems.push(`contract balance ${ethers.formatEther(finalState.contractBalance)} ETH, expected ${ethers.formatEther(expectedContractBalance)} ETH after withdrawals`);
+        }
+        if (replay.unexpectedReverts > 0) {
+            problems.push(`${replay.unexpectedReverts} transactions reverted although the sender's balance covered them`);
+        }
+        if (replay.overdrafts > 0) {
+            problems.push(`${replay.overdrafts} transfers or withdrawals exceeded the sender's balance`);
+        }
+        return {
+            ok: problems.length === 0,
+            message: problems.length === 0
+                ? `Balances changed by as much as the contract's ETH, and all ${replay.insufficientBalanceReverts} reverts were for insufficient balance.`
+                : `Mismatch: ${problems.join('; ')}.`,
+            fields: {
+                finalContractBalanceETH: ethers.formatEther(finalState.contractBalance),
+                sumOfBalancesETH: ethers.formatEther(finalState.mappedBalance),
+                transfers: replay.transfers,
+                withdrawals: replay.withdrawals,
+                totalWithdrawnETH: ethers.formatEther(replay.withdrawn),
+                insufficientBalanceReverts: replay.insufficientBalanceReverts,
+                unexpectedReverts: replay.unexpectedReverts,
+            },
+        };
+    },
+};
+
+// --- Counter from the main thread with a concurrency limit (formerly writeConcurrency.js) ---
+const asyncCounter = {
+    ...counter,
+    name: 'async',
+    title: "World Saving Concurrency Benchmark",
+    executor: 'async',
+    levelKey: 'concurrency',
+    levelLabel: 'Concurrency Level',
+    closingMessage: "World Saving Benchmark Complete! Review the results carefully.",
+    defaults: {
+        workers: [1, 2, 4, 8, 16, 32, 64, 128, 256], // "Threads" simulation
+        nonceModes: ['retry'],
+    },
+};
+
+// --- Any contract method, from a scenario definition file (see scenarioDefinition.js) ---
+/**
+ * Builds a scenario from a definition file.
+ * @param {string} file - Path to the .json or .js definition.
+ * @returns {object}
+ */
+function scenarioFromDefinition(file) {
+    const definition = loadScenarioDefinition(file);
+    const { invariant } = definition;
+    const readLabel = invariant && typeof invariant.read === 'string' ? invariant.read.replace(/^\$/, '') : 'state';
+
+    return {
+        name: definition.name,
+        title: `${definition.contract}.${definition.method} Scenario Benchmark`,
+        contractName: definition.contract,
+        deployArgs: definition.deployArgs || [],
+        executor: 'piscina',
+        workerFile: 'workerScenario.js',
+        action: definition.method,
+        events: definition.events,
+        levelKey: 'workers',
+        levelLabel: 'Worker Threads',
+        closingMessage: `Scenario ${definition.name} complete.`,
+        defaults: definition.defaults || {},
+
+        taskData({ hre }) {
+            return {
+                scenarioFile: definition.file,
+                contractAbi: hre.artifacts.readArtifactSync(definition.contract).abi,
+            };
+        },
+
+        taskFields(ctx, run, txIndex) {
+            const signerIndex = selectSigner(definition, txIndex, run.privateKeys.length);
+            return { privateKey: run.privateKeys[signerIndex], signerIndex };
+        },
+
+        async readState(ctx) {
+            if (!invariant) {
+                return {};
+            }
+            if (typeof invariant.read === 'function') {
+                return { value: await invariant.read(ctx) };
+            }
+            if (invariant.read === '$contractBalance') {
+                return { value: await ctx.provider.getBalance(ctx.contractAddress) };
+            }
+            return { value: await ctx.contract[invariant.read]() };
+        },
+
+        logState(ctx, label, state) {
+            if (invariant) {
+                console.log(`   ${label} ${readLabel}: ${state.value}`);
+            }
+        },
+
+        verify(ctx, initialState, finalState, results, tally) {
+            if (!invariant) {
+                return { ok: true, message: "No invariant defined, nothing to check.", fields: {} };
+            }
+            const fields = { [`final_${readLabel}`]: String(finalState.value) };
+            if (typeof invariant.expect === 'function') {
+                const outcome = invariant.expect({ initial: initialState.value, final: finalState.value, results, tally });
+                const ok = typeof outcome === 'object' ? outcome.ok : Boolean(outcome);
+                const message = typeof outcome === 'object' && outcome.message ? outcome.message : `Invariant ${ok ? 'holds' : 'violated'}.`;
+                return { ok, message, fields };
+            }
+
+            let expected = BigInt(initialState.value);
+            if (invariant.expect === 'successes') {
+                expected += BigInt(tally.successes);
+            } else if (invariant.expect === 'value') {
+                expected += results
+                    .filter(res => res && res.success)
+                    .reduce((sum, res) => sum + BigInt(res.value || 0), BigInt(0));
+            }
+            const ok = BigInt(finalState.value) === expected;
+            return {
+                ok,
+                message: ok
+                    ? `Final ${readLabel} (${finalState.value}) matches expected (${expected}).`
+                    : `Final ${readLabel} (${finalState.value}) does NOT match expected (${expected}).`,
+                fields,
+            };
+        },
+    };
+}
+
+const SCENARIOS = {
+    counter,
+    deposit,
+    mix,
+    transfer,
+    async: asyncCounter,
+};
+
+module.exports = {
+    SCENARIOS,
+    scenarioFromDefinition
+};
@@ -0,0 +1,102 @@
+// scripts/blockAnalysis.js
+//
+// Looks at the blocks mined while a benchmark ran. Transactions per block, gas used against the
+// block gas limit and block intervals show whether throughput was capped by automine (one tx per
+// block), by the gas limit, or by the client not sending fast enough.
+
+// Blocks fetched in parallel
+const BLOCK_FETCH_BATCH = 20;
+// Gas usage (percent of the limit) above which a block counts as full
+const FULL_BLOCK_GAS_PCT = 95;
+
+// Columns of the block table, in display order
+const BLOCK_COLUMNS = [
+    'blocks', 'emptyBlocks', 'benchmarkBlocks', 'foreignTxs', 'txPerBlockAvg', 'txPerBlockMax',
+    'gasUsedPctAvg', 'gasUsedPctMax', 'blockIntervalAvgSec', 'blockIntervalMaxSec', 'limitedBy',
+];
+
+/**
+ * Fetches blocks `fromBlock` to `toBlock` (inclusive).
+ * @param {object} provider
+ * @param {number} fromBlock
+ * @param {number} toBlock
+ * @returns {Promise<Map<number, object>>} Blocks by number; `transactions` holds the tx hashes.
+ */
+async function fetchBlocks(provider, fromBlock, toBlock) {
+    const blocks = new Map();
+    for (let start = fromBlock; start <= toBlock; start += BLOCK_FETCH_BATCH) {
+        const numbers = [];
+        for (let number = start; number <= Math.min(start + BLOCK_FETCH_BATCH - 1, toBlock); number++) {
+            numbers.push(number);
+        }
+        const fetched = await Promise.all(numbers.map(number => provider.getBlock(number)));
+        fetched.forEach((block, index) => blocks.set(numbers[index], block));
+    }
+    return blocks;
+}
+
+/**
+ * Summarizes the blocks of a benchmark window.
+ * @param {Map<number, object>} blocks - From fetchBlocks.
+ * @param {Set<string>} txHashes - Hashes of the benchmark's transactions.
+ * @returns {object} Fields named as in BLOCK_COLUMNS.
+ */
+function summarizeBlocks(blocks, txHashes) {
+    const list = [...blocks.values()].sort((a, b) => a.number - b.number);
+    const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+    if (list.length === 0) {
+        return { blocks: 0, limitedBy: 'no blocks mined' };
+    }
+
+    const txCounts = list.map(block => block.transactions.length);
+    const gasPct = list.map(block => (Number(block.gasUsed) / Number(block.gasLimit)) * 100);
+    const benchmarkCounts = list.map(block => block.transactions.filter(hash => txHashes.has(hash)).length);
+    const intervals = list.slice(1).map((block, index) => block.timestamp - list[index].timestamp);
+    const totalTxs = txCounts.reduce((sum, count) => sum + count, 0);
+    const benchmarkTxs = benchmarkCounts.reduce((sum, count) => sum + count, 0);
+    const nonEmpty = list.filter(block => block.transactions.length > 0).length;
+
+    const txPerBlockMax = Math.max(...txCounts);
+    const gasUsedPctMax = Math.max(...gasPct);
+    let limitedBy = 'client (blocks neither full nor capped at one tx)';
+    if (txPerBlockMax <= 1) {
+        limitedBy = 'automine (one tx per block)';
+    } else if (gasUsedPctMax >= FULL_BLOCK_GAS_PCT) {
+        limitedBy = 'block gas limit';
+    }
+
+    return {
+        blocks: list.length,
+        emptyBlocks: list.length - nonEmpty,
+        benchmarkBlocks: benchmarkCounts.filter(count => count > 0).length,
+        foreignTxs: totalTxs - benchmarkTxs,
+        txPerBlockAvg: round(totalTxs / list.length),
+        txPerBlockMax,
+        gasUsedPctAvg: round(gasPct.reduce((sum, pct) => sum + pct, 0) / list.length),
+        gasUsedPctMax: round(gasUsedPctMax),
+        blockIntervalAvgSec: intervals.length > 0 ? round(intervals.reduce((sum, i) => sum + i, 0) / intervals.length) : null,
+        blockIntervalMaxSec: intervals.length > 0 ? Math.max(...intervals) : null,
+        limitedBy,
+    };
+}
+
+/**
+ * Fetches and summarizes every block mined after `startBlock` up to the current head.
+ * @param {object} provider
+ * @param {number} startBlock - Block number read right before the run started.
+ * @param {Array<object>} results - Task results; successful ones carry `hash`.
+ * @returns {Promise<{ summary: object, blocks: Map<number, object> }>}
+ */
+async function analyzeBlocks(provider, startBlock, results) {
+    const endBlock = await provider.getBlockNumber();
+    const blocks = await fetchBlocks(provider, startBlock + 1, endBlock);
+    const txHashes = new Set(results.filter(res => res && res.hash).map(res => res.hash));
+    return { summary: summarizeBlocks(blocks, txHashes), blocks };
+}
+
+module.exports = {
+    BLOCK_COLUMNS,
+    fetchBlocks,
+    summarizeBlocks,
+    analyzeBlocks
+};
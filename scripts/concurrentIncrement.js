@@ -1,15 +1,17 @@
-const { ethers } = require("hardhat"); // Import ethers from Hardhat package
+const hre = require("hardhat"); // Import the Hardhat Runtime Environment
+const { deploymentOptionsFromEnv, validateDeploymentOptions, resolveDeployment } = require("./deploymentRegistry.js");
+const { ethers } = hre;
 
 async function main() {
     console.log("Starting the world-saving concurrent increment script...");
 
     // --- 1. Deployment ---
-    console.log("\nDeploying Counter contract...");
-    const CounterFactory = await ethers.getContractFactory("Counter");
-    const counter = await CounterFactory.deploy();
-    await counter.waitForDeployment(); // Wait until the contract is deployed and mined
-    const contractAddress = await counter.getAddress();
-    console.log(`Counter deployed to: ${contractAddress}`);
+    // A fresh Counter, or an existing one with ATTACH=1 or CONTRACT_ADDRESS=0x... (see deploymentRegistry.js)
+    const deploymentOptions = deploymentOptionsFromEnv();
+    validateDeploymentOptions(deploymentOptions);
+    console.log(deploymentOptions.attach || deploymentOptions.address ? "\nAttaching to Counter contract..." : "\nDeploying Counter contract...");
+    const { contract: counter, address: contractAddress, attached } = await resolveDeployment(hre, "Counter", deploymentOptions);
+    console.log(`Counter ${attached ? "attached at" : "deployed to"}: ${contractAddress}`);
 
     // --- 2. Preparation for Concurrency ---
     const initialCount = await counter.count(); // Use the public getter
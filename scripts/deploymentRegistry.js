@@ -0,0 +1,222 @@
+// scripts/deploymentRegistry.js
+//
+// Remembers what was deployed where, so scripts can attach to an existing contract instead of
+// deploying a fresh one on every run. Every deployment is recorded in
+// deployments/<network>-<chainId>.json, the latest one per contract name:
+//   { "network": "localhost", "chainId": "31337", "contracts": { "Counter": {
+//       "address", "deployTx", "blockNumber", "bytecodeHash", "deployedAt" } } }
+// `bytecodeHash` is the keccak256 of the artifact's runtime bytecode. Attaching compares it with the
+// code at the address, which stops matching when the contract was changed and recompiled, or when
+// the node was restarted and something else now lives at the same address.
+//
+// The benchmark tasks take --attach, --address and --redeploy; `hardhat run` scripts read the same
+// choices from ATTACH=1, CONTRACT_ADDRESS=0x... and REDEPLOY=1 (see deploymentOptionsFromEnv).
+const fs = require('fs');
+const path = require('path');
+
+const DEPLOYMENTS_DIR = path.resolve(__dirname, '../deployments');
+
+// The in-process network and a node started by the runner forget everything when the process ends
+const EPHEMERAL_NETWORKS = ['hardhat'];
+
+/**
+ * Registry file of a network.
+ * @param {string} networkName
+ * @param {bigint|number|string} chainId
+ * @returns {string}
+ */
+function registryFile(networkName, chainId) {
+    return path.join(DEPLOYMENTS_DIR, `${networkName}-${chainId}.json`);
+}
+
+/**
+ * Reads a registry file, or an empty registry if there is none yet.
+ * @param {string} file
+ * @returns {object}
+ */
+function readRegistry(file) {
+    if (!fs.existsSync(file)) {
+        return { contracts: {} };
+    }
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read the deployment registry ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Deployment options from the environment, for scripts started with `npx hardhat run`, which
+ * can't take flags of their own.
+ * @returns {{ attach?: boolean, address?: string, redeploy?: boolean }} Unset variables are left out.
+ */
+function deploymentOptionsFromEnv() {
+    const options = {};
+    if (process.env.ATTACH === '1' || process.env.ATTACH === 'true') {
+        options.attach = true;
+    }
+    if (process.env.CONTRACT_ADDRESS) {
+        options.address = process.env.CONTRACT_ADDRESS;
+    }
+    if (process.env.REDEPLOY === '1' || process.env.REDEPLOY === 'true') {
+        options.redeploy = true;
+    }
+    return options;
+}
+
+/**
+ * Throws on combinations that contradict each other.
+ * @param {object} options - `{ attach, address, redeploy }`.
+ */
+function validateDeploymentOptions({ attach, address, redeploy }) {
+    const chosen = [attach && '--attach', address && '--address', redeploy && '--redeploy'].filter(Boolean);
+    if (chosen.length > 1) {
+        throw new Error(`${chosen.join(' and ')} can't be combined, pick one`);
+    }
+    if (address !== undefined && !/^0x[0-9a-fA-F]{40}$/.test(address)) {
+        throw new Error(`Invalid --address value: ${address}`);
+    }
+}
+
+/**
+ * Throws if the network forgets its contracts when the process ends, so there is nothing to attach to.
+ * @param {object} hre - Hardhat Runtime Environment.
+ */
+function requirePersistentNetwork(hre) {
+    if (EPHEMERAL_NETWORKS.includes(hre.network.name)) {
+        throw new Error(`--attach and --address need a node that outlives the script, e.g. --network localhost ('${hre.network.name}' starts empty every time)`);
+    }
+}
+
+async function chainIdOf(provider) {
+    return (await provider.getNetwork()).chainId;
+}
+
+const bytecodeHashOf = (ethers, artifact) => ethers.keccak256(artifact.deployedBytecode);
+
+/**
+ * Records a deployment in the registry of the current network. Nothing is recorded on ephemeral networks.
+ * @param {object} hre - Hardhat Runtime Environment.
+ * @param {string} contractName - Artifact name.
+ * @param {object} contract - Deployed ethers Contract, after waitForDeployment().
+ * @returns {Promise<string|null>} The registry file, or null if nothing was recorded.
+ */
+async function recordDeployment(hre, contractName, contract) {
+    if (EPHEMERAL_NETWORKS.includes(hre.network.name)) {
+        return null;
+    }
+    const { ethers } = hre;
+    const provider = contract.runner.provider;
+    const chainId = await chainIdOf(provider);
+    const deployTx = contract.deploymentTransaction();
+    const receipt = deployTx ? await deployTx.wait() : null;
+    const file = registryFile(hre.network.name, chainId);
+
+    const registry = {
+        network: hre.network.name,
+        chainId: chainId.toString(),
+        contracts: {
+            ...readRegistry(file).contracts,
+            [contractName]: {
+                address: await contract.getAddress(),
+                deployTx: deployTx ? deployTx.hash : null,
+                blockNumber: receipt ? receipt.blockNumber : null,
+                bytecodeHash: bytecodeHashOf(ethers, await hre.artifacts.readArtifact(contractName)),
+                deployedAt: new Date().toISOString(),
+            },
+        },
+    };
+    fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(registry, null, 2) + '\n');
+    return file;
+}
+
+/**
+ * Checks that `address` holds the compiled `contractName`. Throws if there is no code at all and
+ * warns if the code differs from the artifact.
+ * @param {object} hre - Hardhat Runtime Environment.
+ * @param {object} provider
+ * @param {string} contractName
+ * @param {string} address
+ * @param {object} [entry] - Registry entry the address came from, for the deploy tx check.
+ * @returns {Promise<boolean>} Whether the code matches the artifact.
+ */
+async function checkDeployment(hre, provider, contractName, address, entry) {
+    const { ethers } = hre;
+    const code = await provider.getCode(address);
+    if (code === '0x') {
+        throw new Error(`No contract at ${address} on ${hre.network.name}. If the node was restarted, deploy a new ${contractName} with --redeploy (REDEPLOY=1 for scripts).`);
+    }
+    const expected = bytecodeHashOf(ethers, await hre.artifacts.readArtifact(contractName));
+    if (ethers.keccak256(code) === expected) {
+        return true;
+    }
+    const reasons = [];
+    if (entry && entry.bytecodeHash !== expected) {
+        reasons.push(`${contractName} was recompiled since it was deployed`);
+    }
+    if (entry && entry.deployTx && !(await provider.getTransaction(entry.deployTx))) {
+        reasons.push(`its deploy tx ${entry.deployTx} is gone, so the node was probably restarted and something else lives at this address`);
+    }
+    console.warn(`⚠️ Warning: The code at ${address} doesn't match the compiled ${contractName}${reasons.length > 0 ? ` (${reasons.join('; ')})` : ''}. Use --redeploy (REDEPLOY=1 for scripts) for a fresh deployment.`);
+    return false;
+}
+
+/**
+ * The contract a script should use: the one at `address`, the registered one (`attach`), or a new
+ * deployment, which is recorded in the registry.
+ * @param {object} hre - Hardhat Runtime Environment.
+ * @param {string} contractName - Artifact name.
+ * @param {object} options
+ * @param {boolean} [options.attach] - Use the contract registered for this network.
+ * @param {string} [options.address] - Use the contract at this address.
+ * @param {object} [options.signer] - Signer that deploys or is connected to the contract (default: first account).
+ * @param {Array} [options.deployArgs] - Constructor arguments of a new deployment.
+ * @returns {Promise<{ contract: object, address: string, attached: boolean, registryFile: string|null, deployBlock: number|null }>}
+ *   `deployBlock` is the block of the deployment, null for a contract given by `address`.
+ */
+async function resolveDeployment(hre, contractName, { attach, address, signer, deployArgs = [] } = {}) {
+    const { ethers } = hre;
+    const runner = signer || (await ethers.getSigners())[0];
+    const provider = runner.provider;
+
+    if (attach || address) {
+        requirePersistentNetwork(hre);
+        const file = registryFile(hre.network.name, await chainIdOf(provider));
+        let entry;
+        if (attach) {
+            entry = readRegistry(file).contracts[contractName];
+            if (!entry) {
+                throw new Error(`No ${contractName} registered in ${file}. Deploy one first with --redeploy (REDEPLOY=1 for scripts).`);
+            }
+        }
+        const target = address || entry.address;
+        await checkDeployment(hre, provider, contractName, target, entry);
+        return {
+            contract: await ethers.getContractAt(contractName, target, runner),
+            address: target,
+            attached: true,
+            registryFile: entry ? file : null,
+            deployBlock: entry && Number.isInteger(entry.blockNumber) ? entry.blockNumber : null,
+        };
+    }
+
+    const factory = await ethers.getContractFactory(contractName, runner);
+    const contract = await factory.deploy(...deployArgs);
+    await contract.waitForDeployment();
+    const file = await recordDeployment(hre, contractName, contract);
+    const receipt = await contract.deploymentTransaction().wait();
+    return { contract, address: await contract.getAddress(), attached: false, registryFile: file, deployBlock: receipt.blockNumber };
+}
+
+module.exports = {
+    DEPLOYMENTS_DIR,
+    registryFile,
+    readRegistry,
+    deploymentOptionsFromEnv,
+    validateDeploymentOptions,
+    requirePersistentNetwork,
+    recordDeployment,
+    checkDeployment,
+    resolveDeployment
+};
@@ -0,0 +1,100 @@
+// scripts/errorTaxonomy.js
+//
+// Sorts transaction errors into a fixed set of categories, so the summary can count them
+// instead of printing opaque messages. ethers v6 error codes are checked first, then the
+// messages Hardhat and other nodes return.
+
+// Categories in display order
+const ERROR_CATEGORIES = [
+    'nonce',              // Nonce already used or too low
+    'underpriced',        // Same nonce sent twice with too small a fee bump, or fee below base fee
+    'insufficient-funds', // Sender can't pay value + gas
+    'revert',             // Execution reverted, with the decoded reason if there is one
+    'timeout',            // Request or receipt wait timed out
+    'connection-refused', // Node not reachable
+    'unknown',
+];
+
+// Categories worth another attempt; the others fail the same way every time
+const RETRYABLE_CATEGORIES = ['nonce', 'underpriced', 'timeout', 'connection-refused'];
+
+function messageOf(error) {
+    return [error.shortMessage, error.message, error.info?.error?.message]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+}
+
+/**
+ * Revert reason decoded by ethers: the Error(string) message, or the custom error's name. Errors
+ * of Hardhat's own provider (hre.ethers signers) only carry the reason in their message.
+ * @returns {string|undefined}
+ */
+function revertReason(error) {
+    if (error.reason) {
+        return error.reason;
+    }
+    if (error.revert) {
+        return `${error.revert.name}(${error.revert.args.join(', ')})`;
+    }
+    const match = /reverted with reason string '(.*)'/.exec(error.message || '');
+    return match ? match[1] : undefined;
+}
+
+/**
+ * Classifies an error thrown while sending a transaction or waiting for it.
+ * @param {Error|*} thrown
+ * @returns {{ category: string, reason?: string }} `reason` is set for reverts with a decoded reason.
+ */
+function classifyError(thrown) {
+    // Anything can be thrown, a string or undefined is read as a message
+    const error = thrown !== null && typeof thrown === 'object' ? thrown : { message: String(thrown) };
+    const message = messageOf(error);
+
+    if (error.code === 'NONCE_EXPIRED' || message.includes('nonce too low') || message.includes('nonce has already been used')) {
+        return { category: 'nonce' };
+    }
+    if (error.code === 'REPLACEMENT_UNDERPRICED' || message.includes('underpriced') || message.includes('less than block base fee')) {
+        return { category: 'underpriced' };
+    }
+    if (error.code === 'INSUFFICIENT_FUNDS' || message.includes('insufficient funds') || message.includes("doesn't have enough funds")) {
+        return { category: 'insufficient-funds' };
+    }
+    if (error.code === 'CALL_EXCEPTION' || message.includes('revert')) {
+        return { category: 'revert', reason: revertReason(error) };
+    }
+    if (error.code === 'TIMEOUT' || message.includes('timeout') || message.includes('timed out')) {
+        return { category: 'timeout' };
+    }
+    if (message.includes('econnrefused') || message.includes('econnreset') ||
+        message.includes('failed to detect network') || message.includes('could not detect network') ||
+        message.includes('network error')) {
+        return { category: 'connection-refused' };
+    }
+    return { category: 'unknown' };
+}
+
+/**
+ * @param {string} category - From classifyError.
+ * @returns {boolean}
+ */
+function isRetryable(category) {
+    return RETRYABLE_CATEGORIES.includes(category);
+}
+
+/**
+ * Short label for log lines, e.g. "revert (Only owner can call this function)".
+ * @param {{ category: string, reason?: string }} classification
+ * @returns {string}
+ */
+function describeCategory({ category, reason }) {
+    return reason ? `${category} (${reason})` : category;
+}
+
+module.exports = {
+    ERROR_CATEGORIES,
+    RETRYABLE_CATEGORIES,
+    classifyError,
+    isRetryable,
+    describeCategory
+};
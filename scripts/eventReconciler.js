@@ -0,0 +1,108 @@
+// scripts/eventReconciler.js
+//
+// Matches the contract's events against what the workers reported. Comparing the final count
+// with the reported successes can't tell a lost receipt from a retry that executed twice;
+// the event logs can, because every transaction that changed state left one behind.
+
+// How many entries of each group are printed
+const MAX_LISTED = 10;
+
+/**
+ * Reconciles the events of a run with the task results.
+ * @param {object} contract - ethers Contract of the run.
+ * @param {Array<string>} eventNames - Events emitted by the benchmarked calls, e.g. ["Incremented"].
+ * @param {number} fromBlock - First block of the run.
+ * @param {Array<object>} results - Task results with `txIndex`, `hash` (on success) and `sentHashes`.
+ * @returns {Promise<object>} `{ events, orphaned, missing, duplicates }`:
+ *   orphaned:   `[{ hash, txIndex, events }]` txs with events that no worker reported as its success
+ *               (`txIndex` is set if a worker sent it and then gave up on it, null if nobody sent it)
+ *   missing:    `[{ hash, txIndex }]` reported successes without an event
+ *   duplicates: `[{ txIndex, hashes }]` tasks that executed more than once
+ */
+async function reconcileEvents(contract, eventNames, fromBlock, results) {
+    const logs = (await Promise.all(
+        eventNames.map(name => contract.queryFilter(contract.filters[name](), fromBlock, 'latest'))
+    )).flat();
+
+    const eventsByTx = new Map();
+    logs.forEach(log => {
+        if (!eventsByTx.has(log.transactionHash)) {
+            eventsByTx.set(log.transactionHash, []);
+        }
+        eventsByTx.get(log.transactionHash).push(log.eventName);
+    });
+
+    const reported = new Map();   // Hash a task reported as its success -> txIndex
+    const taskOfHash = new Map(); // Any hash a task sent -> txIndex
+    results.forEach(res => {
+        if (!res) {
+            return;
+        }
+        (res.sentHashes || []).forEach(hash => taskOfHash.set(hash, res.txIndex));
+        if (res.success && res.hash) {
+            reported.set(res.hash, res.txIndex);
+            taskOfHash.set(res.hash, res.txIndex);
+        }
+    });
+
+    const executedByTask = new Map();
+    for (const hash of eventsByTx.keys()) {
+        const txIndex = taskOfHash.get(hash);
+        if (txIndex !== undefined) {
+            executedByTask.set(txIndex, [...(executedByTask.get(txIndex) || []), hash]);
+        }
+    }
+    const duplicates = [...executedByTask.entries()]
+        .filter(([, hashes]) => hashes.length > 1)
+        .map(([txIndex, hashes]) => ({ txIndex, hashes }));
+    const duplicateHashes = new Set(duplicates.flatMap(duplicate => duplicate.hashes));
+
+    const orphaned = [...eventsByTx.keys()]
+        .filter(hash => !reported.has(hash) && !duplicateHashes.has(hash))
+        .map(hash => ({ hash, txIndex: taskOfHash.get(hash) ?? null, events: eventsByTx.get(hash) }));
+    const missing = [...reported.entries()]
+        .filter(([hash]) => !eventsByTx.has(hash))
+        .map(([hash, txIndex]) => ({ hash, txIndex }));
+
+    return { events: logs.length, orphaned, missing, duplicates };
+}
+
+/**
+ * Prints the reconciliation and returns the counts for the summary table.
+ * @param {object} reconciliation - From reconcileEvents.
+ * @returns {object} `{ events, orphanedTxs, missingEvents, duplicateExecutions, reconciled }`
+ */
+function reportReconciliation({ events, orphaned, missing, duplicates }) {
+    const reconciled = orphaned.length === 0 && missing.length === 0 && duplicates.length === 0;
+    if (reconciled) {
+        console.log(`   ✅ Events reconciled: ${events} events, each belongs to exactly one reported transaction.`);
+    } else {
+        console.warn(`   ⚠️ Events: ${events}, orphaned txs: ${orphaned.length}, reported txs without event: ${missing.length}, duplicate executions: ${duplicates.length}`);
+        orphaned.slice(0, MAX_LISTED).forEach(({ hash, txIndex, events: names }) => {
+            const sender = txIndex === null ? 'not sent by any worker' : `sent by Tx ${txIndex}, not reported`;
+            console.warn(`      Orphaned ${hash} (${names.join(', ')}): ${sender}`);
+        });
+        missing.slice(0, MAX_LISTED).forEach(({ hash, txIndex }) => {
+            console.warn(`      No event for ${hash} reported by Tx ${txIndex}`);
+        });
+        duplicates.slice(0, MAX_LISTED).forEach(({ txIndex, hashes }) => {
+            console.warn(`      Tx ${txIndex} executed ${hashes.length} times: ${hashes.join(', ')}`);
+        });
+        const listed = Math.max(orphaned.length, missing.length, duplicates.length);
+        if (listed > MAX_LISTED) {
+            console.warn(`      (only the first ${MAX_LISTED} of each group are listed)`);
+        }
+    }
+    return {
+        events,
+        orphanedTxs: orphaned.length,
+        missingEvents: missing.length,
+        duplicateExecutions: duplicates.length,
+        reconciled,
+    };
+}
+
+module.exports = {
+    reconcileEvents,
+    reportReconciliation
+};
@@ -0,0 +1,201 @@
+// scripts/gasAccounting.js
+//
+// Gas and fee accounting of a run. Reads the receipt of every transaction the run's signers sent in
+// the run's blocks, including reverts, retries that landed and nonce gap fillers, and sums gas used
+// and fees (gasUsed x effectiveGasPrice) per operation and per signer. Every signer's ETH is then
+// checked: its balance before the run minus its balance after has to equal the value its successful
+// transactions sent plus the fees it paid, minus what it received. For AccountBalance that catches
+// ETH that was charged but never credited. Across runs, operations whose average gas differs from
+// the other worker counts are flagged as outliers.
+const { ethers } = require('ethers');
+
+// Columns of the gas table, in display order
+const GAS_COLUMNS = ['gasUsedTotal', 'gasPerTxAvg', 'feesETH', 'effectiveGasPriceAvgGwei', 'signerBalanceMismatches'];
+// Columns of the per-operation gas table, in display order
+const GAS_OPERATION_COLUMNS = ['operation', 'count', 'gasUsedAvg', 'gasUsedMin', 'gasUsedMax', 'feesETH', 'effectiveGasPriceAvgGwei'];
+
+const RECEIPT_BATCH = 50;      // Receipt and transaction lookups in flight at once
+const MAX_SIGNERS_LISTED = 10; // Signer table printed in full up to this many signers, else only mismatches
+const GAS_OUTLIER_PCT = 10;    // Deviation of an operation's average gas from the median of all runs
+
+// Runs `lookup` for every item, RECEIPT_BATCH at a time
+async function inBatches(items, lookup) {
+    const found = [];
+    for (let i = 0; i < items.length; i += RECEIPT_BATCH) {
+        found.push(...await Promise.all(items.slice(i, i + RECEIPT_BATCH).map(lookup)));
+    }
+    return found;
+}
+
+const formatGwei = (wei) => Math.round(Number(ethers.formatUnits(wei, 'gwei')) * 1000) / 1000;
+
+/**
+ * Collects gas and fees of a run and checks the signers' ETH.
+ * @param {object} ctx - Runner context with `provider`, `contract`, `contractAddress` and `scenario`.
+ *   `scenario.payouts` maps events of the contract to the argument naming the account that received
+ *   their `amount` in ETH, e.g. `{ WithdrawnByOwner: 'owner' }`.
+ * @param {object} window
+ * @param {number} window.startBlock - Block number read right before the run started.
+ * @param {Map<number, object>} window.blocks - Blocks of the run (blockAnalysis.js).
+ * @param {Array<object>} window.results - Task results; successful ones carry `hash` and maybe `operation`.
+ * @param {Array<string>} window.accounts - Addresses to account for: the run's signers and the owner.
+ * @returns {Promise<object>} Fields named as in GAS_COLUMNS, plus `gas: { operations, signers }` with
+ *   one row per operation (GAS_OPERATION_COLUMNS) and one per signer.
+ */
+async function accountGas(ctx, { startBlock, blocks, results, accounts }) {
+    const { provider, scenario } = ctx;
+    const contractAddress = ctx.contractAddress.toLowerCase();
+    const tracked = new Map(accounts.map(account => [account.toLowerCase(), account]));
+    const endBlock = blocks.size > 0 ? Math.max(...blocks.keys()) : startBlock;
+
+    const hashes = [...blocks.values()].flatMap(block => block.transactions);
+    const receipts = (await inBatches(hashes, hash => provider.getTransactionReceipt(hash)))
+        .filter(receipt => receipt && tracked.has(receipt.from.toLowerCase()));
+    // Reverted transactions get their value back, only successful ones need it
+    const values = await inBatches(receipts, receipt => (receipt.status === 1
+        ? provider.getTransaction(receipt.hash).then(tx => tx.value)
+        : BigInt(0)));
+
+    const signers = new Map([...tracked.values()].map(account => [account, {
+        account,
+        txs: 0,
+        gasUsed: BigInt(0),
+        fees: BigInt(0),
+        valueSent: BigInt(0),
+        received: BigInt(0),
+    }]));
+    const credit = (address, amount) => {
+        const account = tracked.get(address.toLowerCase());
+        if (account) {
+            signers.get(account).received += amount;
+        }
+    };
+    receipts.forEach((receipt, index) => {
+        const entry = signers.get(tracked.get(receipt.from.toLowerCase()));
+        entry.txs++;
+        entry.gasUsed += receipt.gasUsed;
+        entry.fees += receipt.fee;
+        entry.valueSent += values[index];
+        if (receipt.to) {
+            credit(receipt.to, values[index]); // e.g. nonce gap fillers send to themselves
+        }
+        if (receipt.status !== 1 || !scenario.payouts) {
+            return;
+        }
+        receipt.logs.filter(log => log.address.toLowerCase() === contractAddress).forEach(log => {
+            const parsed = ctx.contract.interface.parseLog(log);
+            if (parsed && scenario.payouts[parsed.name]) {
+                credit(parsed.args[scenario.payouts[parsed.name]], parsed.args.amount);
+            }
+        });
+    });
+
+    const signerRows = await Promise.all([...signers.values()].map(async entry => {
+        const [before, after] = await Promise.all([
+            provider.getBalance(entry.account, startBlock),
+            provider.getBalance(entry.account, endBlock),
+        ]);
+        const spent = before - after;
+        const expected = entry.valueSent + entry.fees - entry.received;
+        return {
+            account: entry.account,
+            txs: entry.txs,
+            gasUsed: entry.gasUsed.toString(),
+            feesETH: ethers.formatEther(entry.fees),
+            valueSentETH: ethers.formatEther(entry.valueSent),
+            receivedETH: ethers.formatEther(entry.received),
+            spentETH: ethers.formatEther(spent),
+            expectedSpentETH: ethers.formatEther(expected),
+            matches: spent === expected,
+        };
+    }));
+
+    // Successful benchmark transactions per operation
+    const operationOf = new Map(results
+        .filter(res => res && res.success && res.hash)
+        .map(res => [res.hash, res.operation || scenario.action]));
+    const byOperation = new Map();
+    receipts.filter(receipt => operationOf.has(receipt.hash)).forEach(receipt => {
+        const operation = operationOf.get(receipt.hash);
+        byOperation.set(operation, [...(byOperation.get(operation) || []), receipt]);
+    });
+    const operations = [...byOperation.entries()].map(([operation, opReceipts]) => {
+        const gas = opReceipts.map(receipt => receipt.gasUsed);
+        const total = gas.reduce((sum, used) => sum + used, BigInt(0));
+        const fees = opReceipts.reduce((sum, receipt) => sum + receipt.fee, BigInt(0));
+        return {
+            operation,
+            count: opReceipts.length,
+            gasUsedAvg: Number(total / BigInt(opReceipts.length)),
+            gasUsedMin: Number(gas.reduce((min, used) => (used < min ? used : min))),
+            gasUsedMax: Number(gas.reduce((max, used) => (used > max ? used : max))),
+            feesETH: ethers.formatEther(fees),
+            effectiveGasPriceAvgGwei: formatGwei(fees / total),
+        };
+    });
+
+    const gasUsedTotal = receipts.reduce((sum, receipt) => sum + receipt.gasUsed, BigInt(0));
+    const feesTotal = receipts.reduce((sum, receipt) => sum + receipt.fee, BigInt(0));
+    const benchmarkGas = operations.reduce((sum, row) => sum + row.gasUsedAvg * row.count, 0);
+    const benchmarkTxs = operations.reduce((sum, row) => sum + row.count, 0);
+    return {
+        gasUsedTotal: gasUsedTotal.toString(),
+        gasPerTxAvg: benchmarkTxs > 0 ? Math.round(benchmarkGas / benchmarkTxs) : null,
+        feesETH: ethers.formatEther(feesTotal),
+        effectiveGasPriceAvgGwei: gasUsedTotal > BigInt(0) ? formatGwei(feesTotal / gasUsedTotal) : null,
+        signerBalanceMismatches: signerRows.filter(row => !row.matches).length,
+        gas: { operations, signers: signerRows },
+    };
+}
+
+/**
+ * Prints the gas of one run: per operation, and per signer (all of them for small runs, otherwise
+ * only those whose ETH doesn't add up).
+ * @param {object} gasStats - From accountGas.
+ */
+function reportGas(gasStats) {
+    const { operations, signers } = gasStats.gas;
+    console.log(`   Gas: ${gasStats.gasUsedTotal} used by ${signers.reduce((sum, row) => sum + row.txs, 0)} txs, ${gasStats.gasPerTxAvg ?? '-'} per successful tx, fees ${gasStats.feesETH} ETH at ${gasStats.effectiveGasPriceAvgGwei ?? '-'} gwei`);
+    if (operations.length > 0) {
+        console.table(operations, GAS_OPERATION_COLUMNS);
+    }
+    const mismatched = signers.filter(row => !row.matches);
+    if (signers.length <= MAX_SIGNERS_LISTED || mismatched.length > 0) {
+        console.table(signers.length <= MAX_SIGNERS_LISTED ? signers : mismatched);
+    }
+    if (mismatched.length === 0) {
+        console.log(`   ✅ ETH of all ${signers.length} signers adds up: spent = value sent + fees - received.`);
+    } else {
+        console.error(`   ❌ ETH of ${mismatched.length} signer(s) doesn't add up: ${mismatched.map(row => row.account).join(', ')}`);
+    }
+}
+
+/**
+ * Compares every operation's average gas across runs and flags the runs that differ from the
+ * median of all runs by more than GAS_OUTLIER_PCT.
+ * @param {object} benchmarkResults - Summary table rows keyed by run label, with `gas`.
+ * @returns {Array<object>} `{ run, operation, gasUsedAvg, medianGas, deviationPct, outlier }` per run and operation.
+ */
+function findGasOutliers(benchmarkResults) {
+    const rows = Object.entries(benchmarkResults).flatMap(([run, row]) =>
+        ((row.gas && row.gas.operations) || []).map(operation => ({ run, operation: operation.operation, gasUsedAvg: operation.gasUsedAvg }))
+    );
+    const byOperation = new Map();
+    rows.forEach(row => byOperation.set(row.operation, [...(byOperation.get(row.operation) || []), row.gasUsedAvg]));
+    return rows.map(row => {
+        const sorted = [...byOperation.get(row.operation)].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        const medianGas = sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+        const deviationPct = medianGas > 0 ? Math.round(((row.gasUsedAvg - medianGas) / medianGas) * 1000) / 10 : 0;
+        return { ...row, medianGas, deviationPct, outlier: Math.abs(deviationPct) > GAS_OUTLIER_PCT };
+    });
+}
+
+module.exports = {
+    GAS_COLUMNS,
+    GAS_OPERATION_COLUMNS,
+    GAS_OUTLIER_PCT,
+    accountGas,
+    reportGas,
+    findGasOutliers
+};
@@ -1,5 +1,9 @@
 // scripts/interactAccountBalance.js
-const { ethers } = require("hardhat");
+// Deploys a fresh AccountBalance, or uses an existing one with ATTACH=1 (the one in the deployment
+// registry) or CONTRACT_ADDRESS=0x... (see deploymentRegistry.js).
+const hre = require("hardhat");
+const { deploymentOptionsFromEnv, validateDeploymentOptions, resolveDeployment } = require("./deploymentRegistry.js");
+const { ethers } = hre;
 
 async function main() {
     // Get signers (accounts from Hardhat Network or your connected node)
@@ -14,11 +18,12 @@ async function main() {
 
 
     // --- 1. DEPLOYMENT ---
-    const AccountBalanceFactory = await ethers.getContractFactory("AccountBalance");
-    const accountBalanceContract = await AccountBalanceFactory.deploy();
-    await accountBalanceContract.waitForDeployment();
-    const contractAddress = await accountBalanceContract.getAddress();
-    console.log("\nAccountBalance contract deployed to:", contractAddress);
+    const deploymentOptions = deploymentOptionsFromEnv();
+    validateDeploymentOptions(deploymentOptions);
+    const deployment = await resolveDeployment(hre, "AccountBalance", { ...deploymentOptions, signer: deployer });
+    const accountBalanceContract = deployment.contract;
+    const contractAddress = deployment.address;
+    console.log(`\nAccountBalance contract ${deployment.attached ? "attached at" : "deployed to"}:`, contractAddress);
     console.log("Contract owner (deployer):", await accountBalanceContract.owner());
 
 
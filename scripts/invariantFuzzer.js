@@ -0,0 +1,366 @@
+// scripts/invariantFuzzer.js
+//
+// Property-based fuzzer for Counter and AccountBalance, run by test/invariantFuzz.js.
+// A seed produces a sequence of steps. Each step is a group of operations from different signers
+// that are sent together with automine off and mined into one block, so they interleave the way
+// the transactions of concurrent workers do. After every block the chain is compared with a model
+// of the expected state, replayed in the order the block executed the transactions. A failing
+// sequence is shrunk to a minimal one that still breaks the same invariant.
+
+const { createRandom } = require('./seededRandom.js');
+
+// Operations and their weights
+const FUZZ_OPERATIONS = { increment: 25, deposit: 25, send: 15, withdrawAll: 10, withdraw: 10, transfer: 15 };
+const AMOUNTS_ETH = ['0.001', '0.01', '0.1', '1'];
+const GAS_LIMIT = 200000; // Fixed, so transactions that should revert are mined instead of failing estimation
+
+const DEFAULT_OPTIONS = {
+    steps: 20,          // Blocks per sequence
+    maxOpsPerStep: 6,   // Operations sent together into one block
+    signers: 10,        // Default accounts taking part, #0 deploys and owns the contracts
+    maxShrinkRuns: 300, // Sequences replayed while shrinking
+};
+
+/**
+ * Random operation sequence of a seed.
+ * @param {number} seed
+ * @param {object} options - `steps`, `maxOpsPerStep` and `signers`, see DEFAULT_OPTIONS.
+ * @returns {Array<Array<object>>} Steps of `{ kind, signer, to?, amount? }`, `amount` in ETH and `to`
+ *   the signer a transfer credits.
+ */
+function generateSequence(seed, { steps, maxOpsPerStep, signers }) {
+    const random = createRandom(seed);
+    const pick = (count) => Math.floor(random() * count);
+    const totalWeight = Object.values(FUZZ_OPERATIONS).reduce((sum, weight) => sum + weight, 0);
+    const pickKind = () => {
+        let roll = random() * totalWeight;
+        return Object.keys(FUZZ_OPERATIONS).find(kind => (roll -= FUZZ_OPERATIONS[kind]) < 0);
+    };
+
+    return Array.from({ length: steps }, () => Array.from({ length: 1 + pick(maxOpsPerStep) }, () => {
+        const kind = pickKind();
+        if (kind === 'withdrawAll') {
+            // Mostly the owner, sometimes an account the contract has to turn away
+            return { kind, signer: random() < 0.7 ? 0 : pick(signers) };
+        }
+        const operation = { kind, signer: pick(signers) };
+        if (kind === 'transfer') {
+            operation.to = pick(signers); // Can be the sender itself
+        }
+        if (kind !== 'increment') {
+            // One in ten moves nothing: a zero deposit, withdrawal or transfer has to revert,
+            // a zero send has to change nothing
+            operation.amount = random() < 0.1 ? '0' : AMOUNTS_ETH[pick(AMOUNTS_ETH.length)];
+        }
+        return operation;
+    }));
+}
+
+function describeOperation({ kind, signer, to, amount }) {
+    return `#${signer} ${kind}${amount !== undefined ? ` ${amount} ETH` : ''}${to !== undefined ? ` to #${to}` : ''}`;
+}
+
+/**
+ * One line per step, e.g. "step 1: #3 deposit 0.01 ETH, #0 withdrawAll".
+ * @param {Array<Array<object>>} sequence
+ * @returns {string}
+ */
+function formatSequence(sequence) {
+    return sequence.map((step, index) => `step ${index + 1}: ${step.map(describeOperation).join(', ')}`).join('\n');
+}
+
+/**
+ * Applies an operation to the model.
+ * @param {object} model - `{ count, credits, totalCredited, totalWithdrawn, contractBalance }`, changed in place.
+ * @param {object} operation - From generateSequence.
+ * @param {object} ethers - For parseEther.
+ * @returns {boolean} Whether the operation should succeed.
+ */
+function applyToModel(model, { kind, signer, to, amount }, ethers) {
+    const wei = amount !== undefined ? ethers.parseEther(amount) : BigInt(0);
+    const credit = () => {
+        model.credits[signer] += wei;
+        model.totalCredited += wei;
+        model.contractBalance += wei;
+    };
+    const covered = wei > BigInt(0) && model.credits[signer] >= wei; // Else "Insufficient balance" or a zero amount
+    switch (kind) {
+        case 'increment':
+            model.count++;
+            return true;
+        case 'deposit':
+            if (wei === BigInt(0)) {
+                return false; // "Deposit amount must be greater than 0"
+            }
+            credit();
+            return true;
+        case 'send':
+            credit(); // receive() credits the sender, nothing for zero
+            return true;
+        case 'withdrawAll':
+            if (signer !== 0 || model.contractBalance === BigInt(0)) {
+                return false; // Only the owner, and only with something to withdraw
+            }
+            model.totalWithdrawn += model.contractBalance;
+            model.contractBalance = BigInt(0);
+            return true;
+        case 'withdraw':
+            // After withdrawAll the contract may hold less than the balance, then sending it fails
+            if (!covered || model.contractBalance < wei) {
+                return false;
+            }
+            model.credits[signer] -= wei;
+            model.totalCredited -= wei;
+            model.contractBalance -= wei;
+            return true;
+        case 'transfer':
+            if (!covered) {
+                return false;
+            }
+            model.credits[signer] -= wei;
+            model.credits[to] += wei;
+            return true;
+        default:
+            throw new Error(`Unknown fuzz operation: ${kind}`);
+    }
+}
+
+// Checked after every block. `check` returns a problem description, or null.
+const INVARIANTS = [
+    {
+        name: 'outcome',
+        check: ({ unexpected }) => (unexpected.length > 0 ? unexpected.join('; ') : null),
+    },
+    {
+        name: 'count',
+        check: ({ model, chain }) => (chain.count === model.count
+            ? null
+            : `count is ${chain.count}, but ${model.count} increments succeeded`),
+    },
+    {
+        name: 'balances-sum',
+        check: ({ model, chain }) => {
+            const sum = chain.balances.reduce((total, balance) => total + balance, BigInt(0));
+            return sum === model.totalCredited ? null : `balances sum to ${sum} wei, credits minus user withdrawals are ${model.totalCredited} wei`;
+        },
+    },
+    {
+        // Only withdrawAll takes ETH out without touching the mapping, transfers only move balance in it
+        name: 'conservation',
+        check: ({ model, chain }) => {
+            const sum = chain.balances.reduce((total, balance) => total + balance, BigInt(0));
+            return sum - chain.contractBalance === model.totalWithdrawn
+                ? null
+                : `balances sum to ${sum} wei and the contract holds ${chain.contractBalance} wei, but the owner only withdrew ${model.totalWithdrawn} wei`;
+        },
+    },
+    {
+        name: 'balances-per-account',
+        check: ({ model, chain }) => {
+            const wrong = chain.balances.findIndex((balance, index) => balance !== model.credits[index]);
+            return wrong < 0 ? null : `balance of #${wrong} is ${chain.balances[wrong]} wei, the model expects ${model.credits[wrong]} wei`;
+        },
+    },
+    {
+        name: 'contract-eth',
+        check: ({ model, chain }) => (chain.contractBalance === model.contractBalance
+            ? null
+            : `contract holds ${chain.contractBalance} wei, credits minus withdrawals are ${model.contractBalance} wei`),
+    },
+];
+
+/**
+ * Replays a sequence against fresh Counter and AccountBalance deployments on the in-memory network.
+ * The chain is restored from a snapshot afterwards, so every replay starts from the same state.
+ * @param {object} hre - Hardhat Runtime Environment on the "hardhat" network.
+ * @param {Array<Array<object>>} sequence
+ * @param {object} options - `signers` and `invariants`.
+ * @returns {Promise<object>} `{ ok: true }`, or `{ ok: false, step, invariant, message }` for the first
+ *   broken invariant (`step` counts from 1).
+ */
+async function runSequence(hre, sequence, { signers: signerCount, invariants = INVARIANTS }) {
+    const { ethers } = hre;
+    const provider = ethers.provider;
+    const snapshot = await provider.send('evm_snapshot', []);
+    try {
+        const signers = (await ethers.getSigners()).slice(0, signerCount);
+        const counter = await ethers.deployContract('Counter', signers[0]);
+        const accountBalance = await ethers.deployContract('AccountBalance', signers[0]);
+        await Promise.all([counter.waitForDeployment(), accountBalance.waitForDeployment()]);
+        const accountBalanceAddress = await accountBalance.getAddress();
+        const nonces = await Promise.all(signers.map(signer => signer.getNonce('pending')));
+        const model = {
+            count: await counter.count(),
+            credits: signers.map(() => BigInt(0)),
+            totalCredited: BigInt(0),
+            totalWithdrawn: BigInt(0),
+            contractBalance: BigInt(0),
+        };
+
+        await provider.send('evm_setAutomine', [false]);
+        for (let stepIndex = 0; stepIndex < sequence.length; stepIndex++) {
+            const step = sequence[stepIndex];
+            const hashes = [];
+            for (const operation of step) {
+                const signer = signers[operation.signer];
+                const overrides = { nonce: nonces[operation.signer]++, gasLimit: GAS_LIMIT };
+                const value = operation.amount !== undefined ? ethers.parseEther(operation.amount) : undefined;
+                let tx;
+                if (operation.kind === 'increment') {
+                    tx = await counter.connect(signer).increment(overrides);
+                } else if (operation.kind === 'deposit') {
+                    tx = await accountBalance.connect(signer).deposit({ ...overrides, value });
+                } else if (operation.kind === 'send') {
+                    tx = await signer.sendTransaction({ ...overrides, to: accountBalanceAddress, value });
+                } else if (operation.kind === 'withdraw') {
+                    tx = await accountBalance.connect(signer).withdraw(value, overrides);
+                } else if (operation.kind === 'transfer') {
+                    tx = await accountBalance.connect(signer).transfer(signers[operation.to].address, value, overrides);
+                } else {
+                    tx = await accountBalance.connect(signer).withdrawAll(overrides);
+                }
+                hashes.push(tx.hash);
+            }
+            await provider.send('evm_mine', []);
+
+            // Replay in the order the block executed them, which need not be the order they were sent in
+            const receipts = await Promise.all(hashes.map(hash => provider.getTransactionReceipt(hash)));
+            const unexpected = [];
+            step.map((operation, index) => ({ operation, receipt: receipts[index] }))
+                .sort((a, b) => a.receipt.index - b.receipt.index)
+                .forEach(({ operation, receipt }) => {
+                    const expected = applyToModel(model, operation, ethers);
+                    const succeeded = receipt.status === 1;
+                    if (succeeded !== expected) {
+                        unexpected.push(`${describeOperation(operation)} ${succeeded ? 'succeeded' : 'reverted'}, expected it to ${expected ? 'succeed' : 'revert'}`);
+                    }
+                });
+
+            const chain = {
+                count: await counter.count(),
+                balances: await Promise.all(signers.map(signer => accountBalance.getBalance(signer.address))),
+                contractBalance: await provider.getBalance(accountBalanceAddress),
+            };
+            for (const invariant of invariants) {
+                const problem = invariant.check({ model, chain, unexpected });
+                if (problem) {
+                    return { ok: false, step: stepIndex + 1, invariant: invariant.name, message: problem };
+                }
+            }
+        }
+        return { ok: true };
+    } finally {
+        await provider.send('evm_setAutomine', [true]);
+        await provider.send('evm_revert', [snapshot]);
+    }
+}
+
+/**
+ * Shrinks a failing sequence: drops whole steps, then single operations, then lowers amounts to
+ * the smallest one, for as long as the result still fails.
+ * @param {Array<Array<object>>} sequence
+ * @param {Function} stillFails - Async predicate on a candidate sequence.
+ * @param {number} maxRuns - Upper bound on candidate replays.
+ * @returns {Promise<{ sequence: Array<Array<object>>, runs: number }>}
+ */
+async function shrinkSequence(sequence, stillFails, maxRuns) {
+    let current = sequence;
+    let runs = 0;
+    const accept = async (candidate) => {
+        if (runs >= maxRuns) {
+            return false;
+        }
+        runs++;
+        if (await stillFails(candidate)) {
+            current = candidate;
+            return true;
+        }
+        return false;
+    };
+
+    let progress = true;
+    while (progress && runs < maxRuns) {
+        progress = false;
+        for (let stepIndex = current.length - 1; stepIndex >= 0; stepIndex--) {
+            progress = await accept(current.filter((_, index) => index !== stepIndex)) || progress;
+        }
+        for (let stepIndex = current.length - 1; stepIndex >= 0; stepIndex--) {
+            for (let opIndex = current[stepIndex].length - 1; opIndex >= 0 && current[stepIndex].length > 1; opIndex--) {
+                progress = await accept(current.map((step, index) => (index === stepIndex
+                    ? step.filter((_, i) => i !== opIndex)
+                    : step))) || progress;
+            }
+        }
+        for (let stepIndex = 0; stepIndex < current.length; stepIndex++) {
+            for (let opIndex = 0; opIndex < current[stepIndex].length; opIndex++) {
+                const { amount } = current[stepIndex][opIndex];
+                if (amount === undefined || amount === '0' || amount === AMOUNTS_ETH[0]) {
+                    continue;
+                }
+                progress = await accept(current.map((step, index) => (index === stepIndex
+                    ? step.map((operation, i) => (i === opIndex ? { ...operation, amount: AMOUNTS_ETH[0] } : operation))
+                    : step))) || progress;
+            }
+        }
+    }
+    return { sequence: current, runs };
+}
+
+/**
+ * Runs the sequence of one seed and shrinks it if an invariant breaks.
+ * @param {object} hre - Hardhat Runtime Environment on the "hardhat" network.
+ * @param {object} options - `seed`, plus overrides of DEFAULT_OPTIONS and `invariants`.
+ * @returns {Promise<object>} `{ seed, ok, sequence }`, and for failures `failure` (see runSequence),
+ *   `shrunk`, `shrunkFailure` and `shrinkRuns`.
+ */
+async function fuzz(hre, { seed, ...overrides }) {
+    const options = { ...DEFAULT_OPTIONS, ...overrides };
+    const sequence = generateSequence(seed, options);
+    const failure = await runSequence(hre, sequence, options);
+    if (failure.ok) {
+        return { seed, ok: true, sequence };
+    }
+
+    const sameFailure = async (candidate) => {
+        const outcome = await runSequence(hre, candidate, options);
+        return !outcome.ok && outcome.invariant === failure.invariant;
+    };
+    const shrunk = await shrinkSequence(sequence, sameFailure, options.maxShrinkRuns);
+    return {
+        seed,
+        ok: false,
+        sequence,
+        failure,
+        shrunk: shrunk.sequence,
+        shrunkFailure: await runSequence(hre, shrunk.sequence, options),
+        shrinkRuns: shrunk.runs,
+    };
+}
+
+/**
+ * Failure report of a fuzz result, with the command that replays the seed.
+ * @param {object} result - From fuzz.
+ * @returns {string}
+ */
+function formatFailure(result) {
+    const { seed, failure, shrunk, shrunkFailure, shrinkRuns } = result;
+    return [
+        `Seed ${seed} broke invariant "${failure.invariant}" at step ${failure.step}: ${failure.message}`,
+        `Shrunk in ${shrinkRuns} replays to ${shrunk.length} step${shrunk.length === 1 ? '' : 's'} (fails at step ${shrunkFailure.step}: ${shrunkFailure.message}):`,
+        formatSequence(shrunk),
+        `Replay with: FUZZ_SEED=${seed} FUZZ_RUNS=1 npx hardhat test`,
+    ].join('\n');
+}
+
+module.exports = {
+    FUZZ_OPERATIONS,
+    DEFAULT_OPTIONS,
+    INVARIANTS,
+    generateSequence,
+    formatSequence,
+    applyToModel,
+    runSequence,
+    shrinkSequence,
+    fuzz,
+    formatFailure
+};
@@ -0,0 +1,81 @@
+// scripts/latencyStats.js
+//
+// Per-transaction timing. Workers stamp every transaction when it is sent, when the node
+// returns the hash and when the receipt arrives; the runner turns the stamps into percentiles
+// for the summary table. Block timestamps are not used: they are whole seconds, and Hardhat
+// moves them ahead of the wall clock when it mines more than one block per second.
+const { performance } = require('perf_hooks');
+
+// Columns of the latency table, in display order
+const LATENCY_COLUMNS = [
+    'tps',
+    'submitP50Ms', 'submitP90Ms', 'submitP99Ms', 'submitMaxMs',
+    'confirmP50Ms', 'confirmP90Ms', 'confirmP99Ms', 'confirmMaxMs',
+];
+
+/**
+ * Wall-clock time in milliseconds with sub-millisecond precision.
+ * Unlike performance.now() alone it is comparable between worker threads.
+ * @returns {number}
+ */
+function now() {
+    return performance.timeOrigin + performance.now();
+}
+
+/**
+ * Nearest-rank percentile.
+ * @param {Array<number>} sortedValues - Values sorted ascending.
+ * @param {number} p - Percentile between 0 and 100.
+ * @returns {number|null} null when there are no values.
+ */
+function percentile(sortedValues, p) {
+    if (sortedValues.length === 0) {
+        return null;
+    }
+    const rank = Math.ceil((p / 100) * sortedValues.length);
+    return sortedValues[Math.min(Math.max(rank, 1), sortedValues.length) - 1];
+}
+
+/**
+ * p50/p90/p99/max of a list of latencies, rounded to 0.1 ms.
+ * @param {Array<number>} values
+ * @param {string} prefix - Field name prefix, e.g. "submit".
+ * @returns {object} e.g. `{ submitP50Ms, submitP90Ms, submitP99Ms, submitMaxMs }`
+ */
+function describeLatencies(values, prefix) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const round = (value) => (value === null ? null : Math.round(value * 10) / 10);
+    return {
+        [`${prefix}P50Ms`]: round(percentile(sorted, 50)),
+        [`${prefix}P90Ms`]: round(percentile(sorted, 90)),
+        [`${prefix}P99Ms`]: round(percentile(sorted, 99)),
+        [`${prefix}MaxMs`]: round(sorted.length > 0 ? sorted[sorted.length - 1] : null),
+    };
+}
+
+/**
+ * Latency percentiles and throughput of one run.
+ * Submit latency: send until the node returned the hash. Confirmation latency: hash until receipt.
+ * Only successful transactions are counted.
+ * @param {Array<object>} results - Task results with `timings`.
+ * @param {number} durationMs - Wall-clock duration of the run.
+ * @returns {object} Fields named as in LATENCY_COLUMNS.
+ */
+function summarizeLatencies(results, durationMs) {
+    // eth_calls of a workload mix have no receipt, they only count towards throughput
+    const timed = results.filter(res => res && res.success && res.timings && res.timings.receiptAt !== undefined);
+    const successes = results.filter(res => res && res.success).length;
+    return {
+        tps: durationMs > 0 ? Math.round((successes / (durationMs / 1000)) * 100) / 100 : null,
+        ...describeLatencies(timed.map(res => res.timings.hashAt - res.timings.sentAt), 'submit'),
+        ...describeLatencies(timed.map(res => res.timings.receiptAt - res.timings.hashAt), 'confirm'),
+    };
+}
+
+module.exports = {
+    LATENCY_COLUMNS,
+    now,
+    percentile,
+    describeLatencies,
+    summarizeLatencies
+};
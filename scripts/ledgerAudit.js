@@ -0,0 +1,163 @@
+// scripts/ledgerAudit.js
+//
+// Solvency and ledger audit of a deployed AccountBalance (npx hardhat ab:audit).
+// withdrawAll sends the contract's ETH to the owner but leaves every `balances` entry in place,
+// so after it the mapping promises more than the contract holds. The audit rebuilds every
+// account's balance from its Deposited, Withdrawn and Transferred events, compares it with the
+// mapping, and sets the sum of the mapping (liabilities) against the contract's ETH (assets).
+// The events are always replayed from the first block, since a balance is the sum of its whole
+// history; --from-block only narrows the accounts that are listed.
+const { ethers } = require('ethers');
+
+/**
+ * Audits an AccountBalance contract.
+ * @param {object} contract - ethers Contract (AccountBalance) connected to a provider.
+ * @param {object} [options]
+ * @param {number} [options.fromBlock] - List only accounts with events from this block on, default 0.
+ *   Balances, totals and mismatches always cover every account and the whole history.
+ * @returns {Promise<object>} Amounts in wei: `{ address, fromBlock, toBlock, accounts, liabilities, assets,
+ *   shortfall, solvent, depositedByEvents, withdrawnByUsers, withdrawnByEvents, transferredByEvents,
+ *   unexplainedAssets, mismatches }`, where `accounts` holds `{ account, deposits, fromEvents, mapped,
+ *   difference, lastBlock }` per listed account, `withdrawnByEvents` is what the owner took out and
+ *   `mismatches` lists every account whose mapping value disagrees with its events.
+ */
+async function auditLedger(contract, { fromBlock = 0 } = {}) {
+    const provider = contract.runner.provider;
+    const address = await contract.getAddress();
+    if (await provider.getCode(address) === '0x') {
+        throw new Error(`No contract at ${address} on this network. Is --network set to the node it was deployed on?`);
+    }
+    const toBlock = await provider.getBlockNumber();
+
+    const [deposits, userWithdrawals, transfers, withdrawals] = await Promise.all([
+        contract.queryFilter(contract.filters.Deposited(), 0, toBlock),
+        contract.queryFilter(contract.filters.Withdrawn(), 0, toBlock),
+        contract.queryFilter(contract.filters.Transferred(), 0, toBlock),
+        contract.queryFilter(contract.filters.WithdrawnByOwner(), 0, toBlock),
+    ]);
+
+    const ledger = new Map(); // account -> { deposits, fromEvents, lastBlock }
+    const book = (account, amount, log) => {
+        const entry = ledger.get(account) || { deposits: 0, fromEvents: BigInt(0), lastBlock: 0 };
+        entry.fromEvents += amount;
+        entry.lastBlock = Math.max(entry.lastBlock, log.blockNumber);
+        ledger.set(account, entry);
+        return entry;
+    };
+    deposits.forEach(log => {
+        book(log.args.account, log.args.amount, log).deposits++;
+    });
+    userWithdrawals.forEach(log => book(log.args.account, -log.args.amount, log));
+    transfers.forEach(log => {
+        book(log.args.from, -log.args.amount, log);
+        book(log.args.to, log.args.amount, log);
+    });
+
+    // Mapping values at the same block as the events
+    const allAccounts = await Promise.all([...ledger.entries()].map(async ([account, entry]) => {
+        const mapped = await contract.balances(account, { blockTag: toBlock });
+        return { account, ...entry, mapped, difference: mapped - entry.fromEvents };
+    }));
+    allAccounts.sort((a, b) => (b.mapped > a.mapped ? 1 : b.mapped < a.mapped ? -1 : 0));
+    const accounts = allAccounts.filter(entry => entry.lastBlock >= fromBlock);
+
+    const liabilities = allAccounts.reduce((sum, entry) => sum + entry.mapped, BigInt(0));
+    const assets = await provider.getBalance(address, toBlock);
+    const sumOf = (logs) => logs.reduce((sum, log) => sum + log.args.amount, BigInt(0));
+    const depositedByEvents = sumOf(deposits);
+    const withdrawnByUsers = sumOf(userWithdrawals);
+    const withdrawnByEvents = sumOf(withdrawals);
+
+    return {
+        address,
+        fromBlock,
+        toBlock,
+        accounts,
+        liabilities,
+        assets,
+        shortfall: liabilities > assets ? liabilities - assets : BigInt(0),
+        solvent: assets >= liabilities,
+        depositedByEvents,
+        withdrawnByUsers,
+        withdrawnByEvents,
+        transferredByEvents: sumOf(transfers),
+        // ETH that arrived without an event (e.g. mining rewards or selfdestruct), or left without one
+        unexplainedAssets: assets - (depositedByEvents - withdrawnByUsers - withdrawnByEvents),
+        mismatches: allAccounts.filter(entry => entry.difference !== BigInt(0)).map(entry => entry.account),
+    };
+}
+
+/**
+ * The audit with amounts as ETH strings, for --json.
+ * @param {object} audit - From auditLedger.
+ * @returns {object}
+ */
+function auditToJson(audit) {
+    const eth = (wei) => ethers.formatEther(wei);
+    return {
+        address: audit.address,
+        fromBlock: audit.fromBlock,
+        toBlock: audit.toBlock,
+        liabilitiesETH: eth(audit.liabilities),
+        assetsETH: eth(audit.assets),
+        shortfallETH: eth(audit.shortfall),
+        solvent: audit.solvent,
+        depositedByEventsETH: eth(audit.depositedByEvents),
+        withdrawnByUsersETH: eth(audit.withdrawnByUsers),
+        withdrawnByEventsETH: eth(audit.withdrawnByEvents),
+        transferredByEventsETH: eth(audit.transferredByEvents),
+        unexplainedAssetsETH: eth(audit.unexplainedAssets),
+        mismatches: audit.mismatches,
+        accounts: audit.accounts.map(entry => ({
+            account: entry.account,
+            deposits: entry.deposits,
+            fromEventsETH: eth(entry.fromEvents),
+            mappedETH: eth(entry.mapped),
+            differenceETH: eth(entry.difference),
+            lastBlock: entry.lastBlock,
+        })),
+    };
+}
+
+/**
+ * Prints the audit as tables.
+ * @param {object} audit - From auditLedger.
+ */
+function printAudit(audit) {
+    const report = auditToJson(audit);
+    console.log(`Ledger audit of AccountBalance at ${report.address} up to block ${report.toBlock}${report.fromBlock > 0 ? `, accounts with events since block ${report.fromBlock}` : ''}`);
+    if (report.accounts.length > 0) {
+        console.table(report.accounts.map(entry => ({
+            ...entry,
+            matches: entry.differenceETH === '0.0' ? '✅' : '❌',
+        })));
+    } else {
+        console.log(`   No Deposited, Withdrawn or Transferred events${report.fromBlock > 0 ? ` since block ${report.fromBlock}` : ''}.`);
+    }
+    console.table({
+        'Liabilities (sum of balances mapping)': { ETH: report.liabilitiesETH },
+        'Assets (contract ETH)': { ETH: report.assetsETH },
+        'Shortfall': { ETH: report.shortfallETH },
+        'Deposited (events)': { ETH: report.depositedByEventsETH },
+        'Withdrawn by users (events)': { ETH: report.withdrawnByUsersETH },
+        'Withdrawn by owner (events)': { ETH: report.withdrawnByEventsETH },
+        'Transferred between accounts (events)': { ETH: report.transferredByEventsETH },
+        'Assets not explained by events': { ETH: report.unexplainedAssetsETH },
+    });
+    if (report.solvent) {
+        console.log(`✅ Solvent: the contract holds ${report.assetsETH} ETH against ${report.liabilitiesETH} ETH of balances.`);
+    } else {
+        console.log(`⚠️ Insolvent: balances claim ${report.liabilitiesETH} ETH but the contract holds ${report.assetsETH} ETH, a shortfall of ${report.shortfallETH} ETH.`);
+    }
+    if (report.mismatches.length === 0) {
+        console.log("✅ Every account's mapping value matches its event history.");
+    } else {
+        console.error(`❌ ${report.mismatches.length} account(s) disagree with their event history: ${report.mismatches.join(', ')}`);
+    }
+}
+
+module.exports = {
+    auditLedger,
+    auditToJson,
+    printAudit
+};
@@ -0,0 +1,204 @@
+// scripts/liveDashboard.js
+//
+// Live progress page for long runs (--dashboard). A local HTTP server serves one page that
+// subscribes to /events (server-sent events) and gets a snapshot every second: completed and
+// failed transactions, retries by error category, rolling tx/s, latency percentiles and the
+// current block number. The server lives for the whole benchmark, so the page keeps working
+// across worker counts and lists the finished runs.
+const http = require('http');
+const { now, describeLatencies } = require('./latencyStats.js');
+
+const DEFAULT_DASHBOARD_PORT = 8787;
+const BROADCAST_INTERVAL_MS = 1000;
+const ROLLING_WINDOW_MS = 5000; // tx/s is averaged over the last 5 seconds
+
+const PAGE = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Benchmark dashboard</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; }
+  .metrics { display: grid; grid-template-columns: repeat(4, 12em); gap: 1em; }
+  .metric { border: 1px solid #ccc; border-radius: 4px; padding: 0.5em 1em; }
+  .metric .value { font-size: 1.6em; }
+  table { border-collapse: collapse; margin-top: 1em; }
+  td, th { border: 1px solid #ccc; padding: 0.25em 0.75em; text-align: right; }
+  #status { color: #666; }
+</style>
+</head>
+<body>
+<h1 id="title">Benchmark</h1>
+<p id="status">Connecting...</p>
+<div class="metrics" id="metrics"></div>
+<h2>Retries and failures by category</h2>
+<table id="errors"></table>
+<h2>Finished runs</h2>
+<table id="runs"></table>
+<script>
+  const metric = (label, value) => '<div class="metric"><div>' + label + '</div><div class="value">' + (value ?? '-') + '</div></div>';
+  const table = (rows, columns) => '<tr>' + columns.map(c => '<th>' + c + '</th>').join('') + '</tr>' +
+    rows.map(row => '<tr>' + columns.map(c => '<td>' + (row[c] ?? '') + '</td>').join('') + '</tr>').join('');
+  const events = new EventSource('/events');
+  events.onmessage = (message) => {
+    const s = JSON.parse(message.data);
+    document.getElementById('title').textContent = s.title;
+    document.getElementById('status').textContent = s.done
+      ? 'Benchmark finished.'
+      : 'Run ' + (s.runIndex || '-') + ': ' + (s.run || 'preparing...');
+    document.getElementById('metrics').innerHTML = [
+      metric('Completed', s.completed + ' / ' + s.txCount), metric('Failed', s.failed),
+      metric('Retries', s.retries), metric('tx/s (rolling)', s.rollingTps),
+      metric('Latency p50 (ms)', s.latencyP50Ms), metric('Latency p90 (ms)', s.latencyP90Ms),
+      metric('Latency p99 (ms)', s.latencyP99Ms), metric('Block', s.blockNumber),
+    ].join('');
+    document.getElementById('errors').innerHTML = table(s.errors, ['category', 'failures', 'retries']);
+    document.getElementById('runs').innerHTML = table(s.finishedRuns, ['run', 'successes', 'failures', 'tps', 'confirmP99Ms', 'verified']);
+  };
+  events.onerror = () => { document.getElementById('status').textContent = 'Disconnected.'; };
+</script>
+</body>
+</html>`;
+
+/**
+ * Starts the dashboard server.
+ * @param {object} options
+ * @param {string} options.title - Page title, the scenario title.
+ * @param {object} options.provider - Provider polled for the current block number.
+ * @param {number} [options.port] - Port on 127.0.0.1, 0 for any free port.
+ * @returns {Promise<object>} Dashboard with `url`, `startRun(label, txCount)`, `record(result)`,
+ *   `endRun(label, row)` and `close()`.
+ */
+async function startDashboard({ title, provider, port = DEFAULT_DASHBOARD_PORT }) {
+    const clients = new Set();
+    const finishedRuns = [];
+    let current = null;
+    let runIndex = 0;
+    let blockNumber = null;
+    let done = false;
+
+    const snapshot = () => {
+        const run = current || { label: null, txCount: 0, completed: 0, failed: 0, latencies: [], completions: [], failures: {}, retries: {} };
+        const windowStart = now() - ROLLING_WINDOW_MS;
+        const recent = run.completions.filter(time => time >= windowStart).length;
+        const categories = [...new Set([...Object.keys(run.failures), ...Object.keys(run.retries)])];
+        const latency = describeLatencies(run.latencies, 'latency');
+        return {
+            title,
+            done,
+            run: run.label,
+            runIndex,
+            txCount: run.txCount,
+            completed: run.completed,
+            failed: run.failed,
+            retries: Object.values(run.retries).reduce((sum, count) => sum + count, 0),
+            rollingTps: Math.round((recent / (ROLLING_WINDOW_MS / 1000)) * 10) / 10,
+            latencyP50Ms: latency.latencyP50Ms,
+            latencyP90Ms: latency.latencyP90Ms,
+            latencyP99Ms: latency.latencyP99Ms,
+            blockNumber,
+            errors: categories.map(category => ({
+                category,
+                failures: run.failures[category] || 0,
+                retries: run.retries[category] || 0,
+            })),
+            finishedRuns,
+        };
+    };
+
+    const broadcast = () => {
+        const data = `data: ${JSON.stringify(snapshot())}\n\n`;
+        clients.forEach(client => client.write(data));
+    };
+
+    const server = http.createServer((req, res) => {
+        if (req.url === '/events') {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive',
+            });
+            res.write(`data: ${JSON.stringify(snapshot())}\n\n`);
+            clients.add(res);
+            req.on('close', () => clients.delete(res));
+            return;
+        }
+        if (req.url === '/' || req.url === '/index.html') {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(PAGE);
+            return;
+        }
+        res.writeHead(404);
+        res.end();
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', resolve);
+    });
+
+    const timer = setInterval(async () => {
+        try {
+            blockNumber = await provider.getBlockNumber();
+        } catch (error) {
+            // Keep the last known block, the run reports node errors itself
+        }
+        broadcast();
+    }, BROADCAST_INTERVAL_MS);
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+
+        startRun(label, txCount) {
+            runIndex++;
+            current = { label, txCount, completed: 0, failed: 0, latencies: [], completions: [], failures: {}, retries: {} };
+            broadcast();
+        },
+
+        record(result) {
+            if (!current) {
+                return;
+            }
+            current.completed++;
+            Object.entries((result && result.retriesByCategory) || {}).forEach(([category, count]) => {
+                current.retries[category] = (current.retries[category] || 0) + count;
+            });
+            if (result && result.success) {
+                current.completions.push(now());
+                if (result.timings) {
+                    const endAt = result.timings.receiptAt ?? result.timings.returnedAt;
+                    current.latencies.push(endAt - result.timings.sentAt);
+                }
+            } else {
+                current.failed++;
+                const category = (result && result.errorCategory) || 'unknown';
+                current.failures[category] = (current.failures[category] || 0) + 1;
+            }
+        },
+
+        endRun(label, row) {
+            finishedRuns.push({
+                run: label,
+                successes: row.successes,
+                failures: row.failures,
+                tps: row.tps,
+                confirmP99Ms: row.confirmP99Ms,
+                verified: row.verified,
+            });
+            broadcast();
+        },
+
+        async close() {
+            done = true;
+            broadcast();
+            clearInterval(timer);
+            clients.forEach(client => client.end());
+            await new Promise(resolve => server.close(resolve));
+        },
+    };
+}
+
+module.exports = {
+    DEFAULT_DASHBOARD_PORT,
+    startDashboard
+};
@@ -0,0 +1,135 @@
+// scripts/loadGenerator.js
+//
+// Open-loop load: transactions are started at a fixed arrival rate, whether or not earlier ones
+// have finished. The closed-loop runners (everything at once, or N in flight) can't tell whether
+// the node sustains a given rate; this can, by tracking how many transactions pile up (backlog)
+// and how far dispatching and completion fall behind the target.
+const { now, describeLatencies, percentile } = require('./latencyStats.js');
+
+const PROGRESS_INTERVAL_MS = 1000;
+
+// Columns of the open-loop table, in display order
+const LOAD_COLUMNS = [
+    'targetRate', 'sendRate', 'tps', 'behindTargetPct', 'maxBacklog', 'backlogAtEnd',
+    'dispatchLagP99Ms', 'dispatchLagMaxMs', 'e2eP50Ms', 'e2eP90Ms', 'e2eP99Ms', 'e2eMaxMs',
+];
+
+/**
+ * Starts `tasks[i]` at `i / rate` seconds after the start and waits for all of them.
+ * @param {Array<Function>} tasks - Functions returning a Promise of a task result.
+ * @param {number} rate - Target arrival rate in tx/s.
+ * @returns {Promise<{ results: Array<object>, stats: object }>} Results carry `scheduledAt` (ms, see latencyStats.now).
+ */
+async function runOpenLoop(tasks, rate) {
+    const intervalMs = 1000 / rate;
+    const startedAt = now();
+    const promises = new Array(tasks.length);
+    const lags = [];
+    let dispatched = 0;
+    let completed = 0;
+    let maxBacklog = 0;
+
+    const progressTimer = setInterval(() => {
+        const elapsedSec = (now() - startedAt) / 1000;
+        process.stdout.write(`\r   t=${elapsedSec.toFixed(0)}s sent: ${dispatched}/${tasks.length}, done: ${completed}, backlog: ${dispatched - completed} `);
+    }, PROGRESS_INTERVAL_MS);
+
+    await new Promise((resolve) => {
+        const dispatchDue = () => {
+            const elapsedMs = now() - startedAt;
+            // Catch up on every arrival that is due, a late timer must not lower the rate
+            while (dispatched < tasks.length && dispatched * intervalMs <= elapsedMs) {
+                const index = dispatched++;
+                const scheduledAt = startedAt + index * intervalMs;
+                lags.push(now() - scheduledAt);
+                promises[index] = tasks[index]()
+                    .catch(error => ({ success: false, error: error.message, txIndex: index }))
+                    .then(result => {
+                        completed++;
+                        return result ? { ...result, scheduledAt } : result;
+                    });
+            }
+            maxBacklog = Math.max(maxBacklog, dispatched - completed);
+
+            if (dispatched === tasks.length) {
+                resolve();
+                return;
+            }
+            setTimeout(dispatchDue, Math.max(0, dispatched * intervalMs - (now() - startedAt)));
+        };
+        dispatchDue();
+    });
+
+    const sendWindowMs = now() - startedAt;
+    const backlogAtEnd = dispatched - completed;
+    const results = await Promise.all(promises);
+    clearInterval(progressTimer);
+    process.stdout.write('\n');
+
+    const sortedLags = [...lags].sort((a, b) => a - b);
+    const round = (value) => (value === null ? null : Math.round(value * 10) / 10);
+    return {
+        results,
+        stats: {
+            targetRate: rate,
+            sendRate: sendWindowMs > 0 ? Math.round((dispatched / (sendWindowMs / 1000)) * 100) / 100 : null,
+            dispatchLagP99Ms: round(percentile(sortedLags, 99)),
+            dispatchLagMaxMs: round(sortedLags.length > 0 ? sortedLags[sortedLags.length - 1] : null),
+            maxBacklog,
+            backlogAtEnd,
+        },
+    };
+}
+
+/**
+ * End-to-end latency of open-loop results: scheduled arrival until receipt, so queueing counts too.
+ * @param {Array<object>} results - Results of runOpenLoop.
+ * @returns {object} `{ e2eP50Ms, e2eP90Ms, e2eP99Ms, e2eMaxMs }`
+ */
+function summarizeEndToEnd(results) {
+    const latencies = results
+        .filter(res => res && res.success && res.timings && res.timings.receiptAt !== undefined && res.scheduledAt !== undefined)
+        .map(res => res.timings.receiptAt - res.scheduledAt);
+    return describeLatencies(latencies, 'e2e');
+}
+
+/**
+ * Steps the arrival rate up until a step fails or `maxRate` is reached.
+ * @param {object} options
+ * @param {number} options.startRate - First rate in tx/s.
+ * @param {number} options.step - Rate increase per step.
+ * @param {number} options.maxRate - Last rate to try.
+ * @param {number} options.maxFailureRate - Failure rate (percent) that counts as saturated.
+ * @param {number} options.maxP99Ms - End-to-end p99 latency (ms) that counts as saturated.
+ * @param {Function} options.runStep - Runs one step at the given rate, returns its summary row
+ *   (with `successes`, `failures` and `e2eP99Ms`).
+ * @returns {Promise<object>} `{ saturationRate, limitRate, reason }`; saturationRate is the highest
+ *   rate that stayed within the thresholds (null if even the first one didn't).
+ */
+async function runRamp({ startRate, step, maxRate, maxFailureRate, maxP99Ms, runStep }) {
+    let saturationRate = null;
+    for (let rate = startRate; rate <= maxRate; rate += step) {
+        const row = await runStep(rate);
+        const attempted = row.successes + row.failures;
+        const failureRate = attempted > 0 ? (row.failures / attempted) * 100 : 0;
+
+        let reason = null;
+        if (failureRate > maxFailureRate) {
+            reason = `failure rate ${failureRate.toFixed(2)}% > ${maxFailureRate}%`;
+        } else if (row.e2eP99Ms === null || row.e2eP99Ms > maxP99Ms) {
+            reason = `p99 latency ${row.e2eP99Ms} ms > ${maxP99Ms} ms`;
+        }
+        if (reason) {
+            return { saturationRate, limitRate: rate, reason };
+        }
+        saturationRate = rate;
+    }
+    return { saturationRate, limitRate: null, reason: `no threshold crossed up to ${maxRate} tx/s` };
+}
+
+module.exports = {
+    LOAD_COLUMNS,
+    runOpenLoop,
+    summarizeEndToEnd,
+    runRamp
+};
@@ -0,0 +1,123 @@
+// scripts/miningModes.js
+//
+// Switches the node's mining mode for the duration of a run, so benchmarks are not limited to the
+// instant one-tx blocks of automine:
+//   auto          - every transaction is mined right away in its own block (Hardhat's default)
+//   interval:<ms> - a block every <ms> milliseconds (evm_setIntervalMining)
+//   manual:<n>    - automine off, the runner calls evm_mine once <n> transactions are pending
+//                   (or when no new transaction arrived for a while, so the tail gets mined too)
+
+const MINING_KINDS = ['auto', 'interval', 'manual'];
+
+// Manual mining: how often the pending pool is checked, and how long a partial batch may wait
+const MANUAL_POLL_MS = 20;
+const MANUAL_FLUSH_MS = 250;
+
+/**
+ * Parses mining modes such as ["auto", "interval:1000", "manual:50"].
+ * @param {Array<string>} items
+ * @returns {Array<{ label: string, kind: string, intervalMs?: number, batchSize?: number }>}
+ */
+function parseMiningModes(items) {
+    return items.map(item => {
+        const [kind, valueText] = item.split(':').map(part => part.trim());
+        const value = Number(valueText);
+        if (!MINING_KINDS.includes(kind)) {
+            throw new Error(`Unknown mining mode '${item}'. Expected: auto, interval:<ms>, manual:<txs per block>`);
+        }
+        if (kind === 'auto') {
+            return { label: 'auto', kind };
+        }
+        if (!Number.isInteger(value) || value < 1) {
+            throw new Error(`Invalid mining mode '${item}': ${kind} needs a whole number above 0, e.g. ${kind}:${kind === 'interval' ? 1000 : 50}`);
+        }
+        return kind === 'interval'
+            ? { label: `interval:${value}`, kind, intervalMs: value }
+            : { label: `manual:${value}`, kind, batchSize: value };
+    });
+}
+
+async function pendingTxCount(provider) {
+    const block = await provider.send('eth_getBlockByNumber', ['pending', false]);
+    return block ? block.transactions.length : 0;
+}
+
+/**
+ * Mines a block whenever `batchSize` transactions are pending, or a partial batch stopped growing.
+ * @returns {{ stop: Function }} stop() resolves once the loop has exited.
+ */
+function startManualMiner(provider, batchSize) {
+    let stopped = false;
+    let lastCount = 0;
+    let lastChangeAt = Date.now();
+
+    const loop = async () => {
+        while (!stopped) {
+            try {
+                const pending = await pendingTxCount(provider);
+                const stalled = pending > 0 && pending === lastCount && Date.now() - lastChangeAt >= MANUAL_FLUSH_MS;
+                if (pending >= batchSize || stalled) {
+                    await provider.send('evm_mine', []);
+                    lastCount = 0;
+                    lastChangeAt = Date.now();
+                } else if (pending !== lastCount) {
+                    lastCount = pending;
+                    lastChangeAt = Date.now();
+                }
+            } catch (error) {
+                console.warn(`   ⚠️ Manual miner: ${error.message.split('\n')[0]}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, MANUAL_POLL_MS));
+        }
+    };
+    const running = loop();
+    return {
+        stop: async () => {
+            stopped = true;
+            await running;
+        },
+    };
+}
+
+/**
+ * Puts the node into `mode` until the returned session is stopped.
+ * Stopping mines whatever is still pending and restores automine.
+ * @param {object} provider - Provider of the benchmarked node.
+ * @param {object} mode - From parseMiningModes.
+ * @returns {Promise<{ stop: Function }>}
+ */
+async function startMiningMode(provider, mode) {
+    let manualMiner;
+    if (mode.kind === 'interval') {
+        await provider.send('evm_setAutomine', [false]);
+        await provider.send('evm_setIntervalMining', [mode.intervalMs]);
+    } else if (mode.kind === 'manual') {
+        await provider.send('evm_setAutomine', [false]);
+        await provider.send('evm_setIntervalMining', [0]);
+        manualMiner = startManualMiner(provider, mode.batchSize);
+    }
+
+    return {
+        stop: async () => {
+            if (mode.kind === 'auto') {
+                return;
+            }
+            if (manualMiner) {
+                await manualMiner.stop();
+            }
+            await provider.send('evm_setIntervalMining', [0]);
+            await provider.send('evm_setAutomine', [true]);
+            // Re-enabling automine doesn't mine what is already pending
+            if (await pendingTxCount(provider) > 0) {
+                await provider.send('evm_mine', []);
+            }
+        },
+    };
+}
+
+module.exports = {
+    MINING_KINDS,
+    parseMiningModes,
+    pendingTxCount,
+    startMiningMode
+};
@@ -0,0 +1,161 @@
+// scripts/nodeManager.js
+//
+// Starts the Hardhat node a benchmark runs against, so it no longer has to be started by hand in a
+// second terminal. The in-process "hardhat" network can't be reached from the worker threads, so
+// without --network the runner spawns `hardhat node` as a child process on a free port, waits until
+// it answers eth_chainId, writes its output to a log file and stops it when the benchmark ends,
+// fails or is interrupted.
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+
+const NODE_HOST = '127.0.0.1';
+const STARTUP_TIMEOUT_MS = 60000; // Compiling and starting the node can take a while on slow machines
+const HEALTH_POLL_MS = 250;
+const STOP_TIMEOUT_MS = 5000;     // SIGTERM first, SIGKILL after this long
+
+/**
+ * Asks a port from the OS that nothing listens on.
+ * @returns {Promise<number>}
+ */
+function findFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.once('error', reject);
+        server.listen(0, NODE_HOST, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Sends one eth_chainId request.
+ * @param {string} url - JSON-RPC endpoint.
+ * @returns {Promise<number>} The chain id.
+ */
+function requestChainId(url) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, timeout: 2000 }, (res) => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => {
+                try {
+                    const { result, error } = JSON.parse(body);
+                    if (error || result === undefined) {
+                        throw new Error(error ? error.message : 'empty response');
+                    }
+                    resolve(Number(result));
+                } catch (error) {
+                    reject(new Error(`Unexpected eth_chainId response from ${url}: ${error.message}`));
+                }
+            });
+        });
+        req.on('timeout', () => req.destroy(new Error(`eth_chainId timed out at ${url}`)));
+        req.on('error', reject);
+        req.end(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] }));
+    });
+}
+
+/**
+ * Checks that a node answers at `url`, with a hint on what to do if it doesn't.
+ * @param {string} url
+ * @returns {Promise<number>} The chain id.
+ */
+async function checkNode(url) {
+    try {
+        return await requestChainId(url);
+    } catch (error) {
+        throw new Error(`No node answers eth_chainId at ${url} (${error.message}). Start one with 'npx hardhat node', or leave out --network to let the benchmark start its own.`);
+    }
+}
+
+// Last lines of the node log, for error messages
+function logTail(logFile, lines = 20) {
+    try {
+        return fs.readFileSync(logFile, 'utf8').split('\n').slice(-lines).join('\n');
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Spawns a Hardhat node and waits until it answers.
+ * @param {object} hre - Hardhat Runtime Environment; the node uses the same config file and project root.
+ * @param {object} [options]
+ * @param {number} [options.port] - Port to listen on, default: any free port.
+ * @param {string} options.logFile - File the node's output is written to.
+ * @returns {Promise<object>} `{ url, chainId, port, logFile, pid, stop() }`
+ */
+async function startNode(hre, { port, logFile }) {
+    const nodePort = port || await findFreePort();
+    const url = `http://${NODE_HOST}:${nodePort}`;
+    fs.mkdirSync(path.dirname(logFile), { recursive: true });
+    const logFd = fs.openSync(logFile, 'a');
+
+    const cli = require.resolve('hardhat/internal/cli/cli.js', { paths: [hre.config.paths.root] });
+    const child = spawn(process.execPath, [
+        cli, 'node',
+        '--hostname', NODE_HOST,
+        '--port', String(nodePort),
+        '--config', hre.config.paths.configFile,
+    ], { cwd: hre.config.paths.root, stdio: ['ignore', logFd, logFd] });
+    fs.closeSync(logFd); // The child keeps its own copy
+
+    let exitCode = null;
+    const exited = new Promise(resolve => child.once('exit', (code, signal) => {
+        exitCode = code ?? signal;
+        resolve();
+    }));
+
+    // Don't leave the node behind when the benchmark crashes or is interrupted
+    const killOnExit = () => child.kill('SIGKILL');
+    const stopOnSignal = (signal) => {
+        child.kill('SIGKILL');
+        process.exit(signal === 'SIGINT' ? 130 : 143);
+    };
+    process.once('exit', killOnExit);
+    process.once('SIGINT', stopOnSignal);
+    process.once('SIGTERM', stopOnSignal);
+
+    const stop = async () => {
+        process.removeListener('exit', killOnExit);
+        process.removeListener('SIGINT', stopOnSignal);
+        process.removeListener('SIGTERM', stopOnSignal);
+        if (exitCode !== null) {
+            return;
+        }
+        child.kill('SIGTERM');
+        const timer = setTimeout(() => child.kill('SIGKILL'), STOP_TIMEOUT_MS);
+        await exited;
+        clearTimeout(timer);
+    };
+
+    // Wait for the node to answer, or to exit early (e.g. the port is taken)
+    const startedAt = Date.now();
+    for (;;) {
+        if (exitCode !== null) {
+            await stop();
+            throw new Error(`Hardhat node exited (${exitCode}) before it answered at ${url}. Last lines of ${logFile}:\n${logTail(logFile)}`);
+        }
+        try {
+            const chainId = await requestChainId(url);
+            return { url, chainId, port: nodePort, logFile, pid: child.pid, stop };
+        } catch (error) {
+            if (Date.now() - startedAt >= STARTUP_TIMEOUT_MS) {
+                await stop();
+                throw new Error(`Hardhat node did not answer at ${url} within ${STARTUP_TIMEOUT_MS / 1000}s. Last lines of ${logFile}:\n${logTail(logFile)}`);
+            }
+        }
+        await new Promise(resolve => setTimeout(resolve, HEALTH_POLL_MS));
+    }
+}
+
+module.exports = {
+    checkNode,
+    startNode
+};
@@ -0,0 +1,139 @@
+// scripts/nonceManager.js
+//
+// Nonce coordination for the Piscina workers.
+// The main thread reads the pending nonce of every signer once and stores it in a
+// SharedArrayBuffer. Worker threads then reserve nonces with Atomics, so two tasks
+// never sign with the same nonce for the same key, no matter which thread runs them.
+
+// "managed": nonces handed out from shared memory.
+// "retry":   ethers picks the nonce and workers retry on "nonce too low" (the original behaviour).
+const NONCE_MODES = ['managed', 'retry'];
+
+// Automine rejects a nonce ahead of the next expected one ("Nonce too high ... can't be queued
+// when automining") instead of queuing it. The earlier nonce is usually just a few ms behind,
+// so wait for it up to this long before giving up.
+const NONCE_ORDER_WAIT_MS = 30000;
+
+/**
+ * Creates the shared nonce table for a list of signer addresses.
+ * @param {object} provider - Provider used to read the pending transaction count.
+ * @param {Array<string>} addresses - Signer addresses, indexed the same way as the private keys given to workers.
+ * @returns {Promise<SharedArrayBuffer>} Buffer holding one Int32 next-nonce slot per signer.
+ */
+async function createNonceBuffer(provider, addresses) {
+    const buffer = new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT * addresses.length);
+    const nonces = new Int32Array(buffer);
+    const pendingCounts = await Promise.all(
+        addresses.map(address => provider.getTransactionCount(address, 'pending'))
+    );
+    pendingCounts.forEach((count, index) => Atomics.store(nonces, index, count));
+    return buffer;
+}
+
+/**
+ * Reserves the next nonce of a signer. Safe to call from any thread.
+ * @param {SharedArrayBuffer} buffer - Buffer created by createNonceBuffer.
+ * @param {number} signerIndex - Slot of the signer.
+ * @returns {number} The reserved nonce.
+ */
+function reserveNonce(buffer, signerIndex) {
+    return Atomics.add(new Int32Array(buffer), signerIndex, 1);
+}
+
+/**
+ * Moves a signer's slot forward to at least `chainNonce`.
+ * Used when the node reports "nonce too low", i.e. the key was used outside the pool.
+ * @param {SharedArrayBuffer} buffer - Buffer created by createNonceBuffer.
+ * @param {number} signerIndex - Slot of the signer.
+ * @param {number} chainNonce - Pending transaction count reported by the node.
+ */
+function syncNonce(buffer, signerIndex, chainNonce) {
+    const nonces = new Int32Array(buffer);
+    let current = Atomics.load(nonces, signerIndex);
+    while (current < chainNonce) {
+        const previous = Atomics.compareExchange(nonces, signerIndex, current, chainNonce);
+        if (previous === current) {
+            return;
+        }
+        current = previous;
+    }
+}
+
+/**
+ * True for the node rejecting a nonce because an earlier one of the same signer has not arrived yet.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isNonceTooHighError(error) {
+    const errorMessage = error.message ? error.message.toLowerCase() : '';
+    return errorMessage.includes('nonce too high');
+}
+
+/**
+ * Calls `send` until the node stops rejecting the nonce as too high, or NONCE_ORDER_WAIT_MS runs out.
+ * @param {Function} send - Sends the transaction, returns a TransactionResponse.
+ * @param {object} [stats] - Incremented `orderWaits` for every rejected attempt.
+ * @returns {Promise<object>} The TransactionResponse.
+ */
+async function sendInNonceOrder(send, stats = {}) {
+    let waitedMs = 0;
+    let delay = 10;
+    for (;;) {
+        try {
+            return await send();
+        } catch (error) {
+            if (!isNonceTooHighError(error) || waitedMs >= NONCE_ORDER_WAIT_MS) {
+                throw error;
+            }
+            stats.orderWaits = (stats.orderWaits || 0) + 1;
+            await new Promise(resolve => setTimeout(resolve, delay));
+            waitedMs += delay;
+            delay = Math.min(delay * 2, 250);
+        }
+    }
+}
+
+/**
+ * Fills a reserved nonce that will never be used with a 0-value self-send.
+ * Without this, every later transaction of the signer would sit in the mempool forever.
+ * @param {object} signer - ethers Wallet connected to a provider.
+ * @param {number} nonce - The unused nonce.
+ * @returns {Promise<string>} Hash of the filler transaction.
+ */
+async function fillNonceGap(signer, nonce) {
+    const tx = await sendInNonceOrder(() => signer.sendTransaction({ to: signer.address, value: 0, nonce }));
+    await tx.wait();
+    return tx.hash;
+}
+
+/**
+ * Prints, per worker count, how many nonce errors the managed mode avoided compared with the retry loop.
+ * @param {object} benchmarkResults - Summary table rows, each with `nonceMode` and `nonceErrors`.
+ * @param {string} [levelKey] - Row field holding the worker count (or concurrency level).
+ */
+function reportNonceCollisionsAvoided(benchmarkResults, levelKey = 'workers') {
+    const runs = Object.values(benchmarkResults);
+    const sumNonceErrors = (level, nonceMode) => runs
+        .filter(run => run[levelKey] === level && run.nonceMode === nonceMode)
+        .reduce((sum, run) => sum + run.nonceErrors, 0);
+
+    for (const level of new Set(runs.map(run => run[levelKey]))) {
+        const hasBothModes = ['retry', 'managed'].every(mode => runs.some(run => run[levelKey] === level && run.nonceMode === mode));
+        if (hasBothModes) {
+            const retryErrors = sumNonceErrors(level, 'retry');
+            const managedErrors = sumNonceErrors(level, 'managed');
+            console.log(`Nonce collisions avoided with ${level} ${levelKey}: ${retryErrors - managedErrors} (retry: ${retryErrors}, managed: ${managedErrors})`);
+        }
+    }
+}
+
+module.exports = {
+    NONCE_MODES,
+    createNonceBuffer,
+    reserveNonce,
+    syncNonce,
+    isNonceTooHighError,
+    sendInNonceOrder,
+    fillNonceGap,
+    reportNonceCollisionsAvoided
+};
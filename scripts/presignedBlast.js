@@ -0,0 +1,181 @@
+// scripts/presignedBlast.js
+//
+// Pre-signed blast mode (--presign). The normal tasks estimate gas, look up the nonce and sign
+// inside every task, so those client-side costs end up in the measured latencies. Here all
+// transactions of a run are built and signed up front with explicit nonce, gas limit and fees, and
+// then sent as raw transactions. A run is reported in three phases:
+//   sign:    building and signing every transaction, before the clock starts (no RPC calls)
+//   submit:  eth_sendRawTransaction at the configured concurrency, i.e. how fast the node ingests them
+//   confirm: collecting the receipts once everything is submitted
+const { ethers } = require('ethers');
+const { sendInNonceOrder } = require('./nonceManager.js');
+const { RECEIPT_POLL_INTERVAL_MS } = require('./workerTransaction.js');
+const { classifyError, describeCategory } = require('./errorTaxonomy.js');
+const { now } = require('./latencyStats.js');
+
+// Columns of the phase table, in display order
+const PHASE_COLUMNS = ['signPhaseMs', 'signTps', 'submitPhaseMs', 'ingestTps', 'confirmPhaseMs'];
+
+const GAS_LIMIT_MARGIN_PCT = 20;  // Added to the single gas estimate, later calls may cost a little more
+const RECEIPT_BATCH = 50;         // Receipt lookups in flight at once
+const CONFIRM_TIMEOUT_MS = 60000; // Give up when no receipt arrived for this long
+
+/**
+ * Builds and signs every transaction of a run. Nonces, fees, chain id and the gas limit are read
+ * from the node once, before signing starts.
+ * @param {object} ctx - Runner context with `provider`, `contract`, `contractAddress` and `scenario`.
+ * @param {object} run - Run with `txCount`, `signers` and `extraTaskData`.
+ * @returns {Promise<{ transactions: Array<object>, signPhaseMs: number }>} One
+ *   `{ txIndex, signerIndex, nonce, raw, hash }` per transaction, in txIndex order.
+ */
+async function signTransactions(ctx, run) {
+    const { provider, scenario } = ctx;
+    const { txCount, signers, extraTaskData } = run;
+    const call = scenario.rawCall(extraTaskData);
+    const data = ctx.contract.interface.encodeFunctionData(call.method, call.args || []);
+    const value = call.value || BigInt(0);
+
+    const { chainId } = await provider.getNetwork();
+    const feeData = await provider.getFeeData();
+    const fees = feeData.maxFeePerGas !== null
+        ? { type: 2, maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas }
+        : { type: 0, gasPrice: feeData.gasPrice };
+    const estimate = await provider.estimateGas({ from: signers[0].address, to: ctx.contractAddress, data, value });
+    const gasLimit = (estimate * BigInt(100 + GAS_LIMIT_MARGIN_PCT)) / BigInt(100);
+    const nonces = await Promise.all(signers.map(signer => provider.getTransactionCount(signer.address, 'pending')));
+    console.log(`   Signing ${txCount} ${call.method} transactions: gas limit ${gasLimit}, ${fees.type === 2
+        ? `max fee ${ethers.formatUnits(fees.maxFeePerGas, 'gwei')} gwei (priority ${ethers.formatUnits(fees.maxPriorityFeePerGas, 'gwei')})`
+        : `gas price ${ethers.formatUnits(fees.gasPrice, 'gwei')} gwei`}, chain ${chainId}`);
+
+    const startedAt = now();
+    const transactions = [];
+    for (let i = 0; i < txCount; i++) {
+        const signerIndex = i % signers.length;
+        const nonce = nonces[signerIndex]++;
+        const raw = await signers[signerIndex].signTransaction({
+            ...fees,
+            chainId,
+            to: ctx.contractAddress,
+            data,
+            value,
+            nonce,
+            gasLimit,
+        });
+        transactions.push({ txIndex: i, signerIndex, nonce, raw, hash: ethers.keccak256(raw) });
+    }
+    return { transactions, signPhaseMs: now() - startedAt };
+}
+
+/**
+ * Sends one signed transaction with eth_sendRawTransaction. Under automine the node rejects
+ * nonces above the next one, so a transaction that overtook an earlier one of the same signer
+ * waits for it (see nonceManager.js).
+ * @param {object} provider
+ * @param {object} transaction - From signTransactions.
+ * @returns {Promise<object>} Task result; `success` means the node accepted it, confirmTransactions
+ *   turns that into the final outcome.
+ */
+async function submitTransaction(provider, transaction) {
+    const { txIndex, raw, hash } = transaction;
+    const orderStats = { orderWaits: 0 };
+    const timings = { sentAt: now() };
+    try {
+        await sendInNonceOrder(() => provider.send('eth_sendRawTransaction', [raw]), orderStats);
+        timings.hashAt = now();
+        return { success: true, hash, timings, txIndex, attempts: 1, nonceErrors: 0, orderWaits: orderStats.orderWaits, sentHashes: [hash] };
+    } catch (error) {
+        const classification = classifyError(error);
+        console.error(`   Tx ${txIndex}: eth_sendRawTransaction failed with ${describeCategory(classification)} error: ${error.message.split('\n')[0]}`);
+        return {
+            success: false,
+            error: error.message,
+            errorCategory: classification.category,
+            txIndex,
+            attempts: 1,
+            nonceErrors: classification.category === 'nonce' ? 1 : 0,
+            orderWaits: orderStats.orderWaits,
+            sentHashes: [],
+        };
+    }
+}
+
+/**
+ * Polls the receipts of every accepted transaction and completes its result (`blockNumber`,
+ * `timings.receiptAt`, reverts). Transactions without a receipt after CONFIRM_TIMEOUT_MS without
+ * progress fail with a timeout.
+ * @param {object} provider
+ * @param {Array<object>} results - From submitTransaction, updated in place.
+ * @param {Function} [onResult] - Called with every result once its outcome is known.
+ * @returns {Promise<number>} Duration of the confirmation phase in ms.
+ */
+async function confirmTransactions(provider, results, onResult = () => {}) {
+    const startedAt = now();
+    let lastProgressAt = startedAt;
+    let pending = results.filter(res => res.success);
+    results.filter(res => !res.success).forEach(onResult);
+
+    while (pending.length > 0) {
+        const waiting = [];
+        for (let i = 0; i < pending.length; i += RECEIPT_BATCH) {
+            const batch = pending.slice(i, i + RECEIPT_BATCH);
+            const receipts = await Promise.all(batch.map(res => provider.getTransactionReceipt(res.hash)));
+            const receivedAt = now();
+            batch.forEach((res, index) => {
+                const receipt = receipts[index];
+                if (!receipt) {
+                    waiting.push(res);
+                    return;
+                }
+                res.timings.receiptAt = receivedAt;
+                res.blockNumber = receipt.blockNumber;
+                if (receipt.status !== 1) {
+                    console.error(`   Tx ${res.txIndex}: reverted (status 0): ${res.hash}`);
+                    Object.assign(res, { success: false, error: 'Transaction reverted with status 0', errorCategory: 'revert' });
+                }
+                onResult(res);
+            });
+        }
+
+        if (waiting.length < pending.length) {
+            lastProgressAt = now();
+        } else if (now() - lastProgressAt >= CONFIRM_TIMEOUT_MS) {
+            console.error(`   ❌ ${waiting.length} transactions still have no receipt after ${CONFIRM_TIMEOUT_MS / 1000}s, giving up.`);
+            waiting.forEach(res => {
+                Object.assign(res, { success: false, error: 'No receipt before the confirmation timeout', errorCategory: 'timeout' });
+                onResult(res);
+            });
+            break;
+        }
+        pending = waiting;
+        if (pending.length > 0) {
+            await new Promise(resolve => setTimeout(resolve, RECEIPT_POLL_INTERVAL_MS));
+        }
+    }
+    return now() - startedAt;
+}
+
+/**
+ * Phase durations and rates of one pre-signed run.
+ * @param {object} phases - `{ txCount, signPhaseMs, submitPhaseMs, confirmPhaseMs, accepted }`, where
+ *   `accepted` is the number of transactions the node took.
+ * @returns {object} Fields named as in PHASE_COLUMNS.
+ */
+function summarizePhases({ txCount, signPhaseMs, submitPhaseMs, confirmPhaseMs, accepted }) {
+    const round = (value) => Math.round(value * 10) / 10;
+    const rate = (count, ms) => (ms > 0 ? Math.round((count / (ms / 1000)) * 100) / 100 : null);
+    return {
+        signPhaseMs: round(signPhaseMs),
+        signTps: rate(txCount, signPhaseMs),
+        submitPhaseMs: round(submitPhaseMs),
+        ingestTps: rate(accepted, submitPhaseMs),
+        confirmPhaseMs: round(confirmPhaseMs),
+    };
+}
+
+module.exports = {
+    PHASE_COLUMNS,
+    signTransactions,
+    submitTransaction,
+    confirmTransactions,
+    summarizePhases
+};
@@ -0,0 +1,308 @@
+// scripts/replacementStress.js
+//
+// Replacement and cancel stress test (npx hardhat bench:replace). The benchmark workers only run
+// into "replacement transaction underpriced" by accident; here it is done on purpose. With mining
+// paused, Counter increments are sent with varied EIP-1559 fees, and a share of them is then sent
+// again at the same nonce:
+//   replace:     the same increment with both fees raised by FEE_BUMP_PCT (a speed-up)
+//   cancel:      a 0-value transfer to the sender itself with both fees raised by FEE_BUMP_PCT
+//   underpriced: the same increment with only UNDERPRICED_BUMP_PCT more, which the node must reject
+// Every group of --per-block increments is mined into one block with evm_mine. The report says which
+// version of every nonce was mined, how the priority fee ordered the transactions within their
+// blocks, and whether a replaced increment was counted twice. Actions and fees are drawn from a
+// generator seeded by --seed, so the same seed plans the same run.
+const { classifyError, describeCategory } = require('./errorTaxonomy.js');
+const { pendingTxCount } = require('./miningModes.js');
+const { createRandom } = require('./seededRandom.js');
+
+const DEFAULT_OPTIONS = {
+    txs: 200,               // Increments sent, replacements and cancels come on top
+    signers: 10,            // Default accounts sending them, #0 also deploys the Counter
+    perBlock: 20,           // Increments sent before each evm_mine
+    replaceShare: 0.3,      // Share of increments replaced by a higher-fee increment
+    cancelShare: 0.1,       // Share cancelled with a 0-value self-send
+    underpricedShare: 0.1,  // Share with a replacement whose fee bump is too small
+    seed: 1,                // Seed of the actions and fees (see seededRandom.js)
+};
+
+const ACTIONS = ['keep', 'replace', 'cancel', 'underpriced'];
+const FEE_BUMP_PCT = 25;        // Hardhat, like geth, wants at least 10% more on both fees
+const UNDERPRICED_BUMP_PCT = 5;
+const MAX_PRIORITY_GWEI = 20;   // Priority fees are drawn from 1 to this
+const MAX_HEADROOM_GWEI = 10;   // maxFeePerGas = 2 x base fee + priority fee + 0 to this
+const INCREMENT_GAS_LIMIT = 100000;
+const CANCEL_GAS_LIMIT = 21000;
+const PRIORITY_BUCKET_GWEI = 5; // Width of the rows of the inclusion table
+
+/**
+ * Resolved options of a stress run, with the defaults for anything left out.
+ * @param {object} [args] - Task arguments; undefined values keep the defaults.
+ * @param {number} [maxSigners] - Accounts the network has.
+ * @returns {object}
+ */
+function resolveStressOptions(args = {}, maxSigners = Infinity) {
+    const options = { ...DEFAULT_OPTIONS };
+    for (const key of Object.keys(DEFAULT_OPTIONS)) {
+        if (args[key] !== undefined) {
+            options[key] = args[key];
+        }
+    }
+    ['txs', 'signers', 'perBlock'].forEach(key => {
+        if (!Number.isInteger(options[key]) || options[key] < 1) {
+            throw new Error(`Invalid --${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)} value: ${options[key]}`);
+        }
+    });
+    if (!Number.isInteger(options.seed)) {
+        throw new Error(`Invalid --seed value: ${options.seed}`);
+    }
+    if (options.signers > maxSigners) {
+        throw new Error(`--signers ${options.signers} is more than the ${maxSigners} accounts of this network`);
+    }
+    const shares = [options.replaceShare, options.cancelShare, options.underpricedShare];
+    if (shares.some(share => !(share >= 0)) || shares.reduce((sum, share) => sum + share, 0) > 1) {
+        throw new Error(`Invalid shares: replace ${options.replaceShare}, cancel ${options.cancelShare}, underpriced ${options.underpricedShare} (each at least 0, together at most 1)`);
+    }
+    return options;
+}
+
+// keep, replace, cancel or underpriced, in proportion to the shares
+function pickAction(options, random) {
+    let roll = random();
+    for (const [action, share] of [['replace', options.replaceShare], ['cancel', options.cancelShare], ['underpriced', options.underpricedShare]]) {
+        if ((roll -= share) < 0) {
+            return action;
+        }
+    }
+    return 'keep';
+}
+
+function randomFees(ethers, baseFee, random) {
+    const gwei = (value) => ethers.parseUnits(String(value), 'gwei');
+    const priority = gwei(1 + Math.floor(random() * MAX_PRIORITY_GWEI));
+    return {
+        maxPriorityFeePerGas: priority,
+        maxFeePerGas: baseFee * BigInt(2) + priority + gwei(Math.floor(random() * (MAX_HEADROOM_GWEI + 1))),
+    };
+}
+
+function bumpFees(fees, pct) {
+    return {
+        maxPriorityFeePerGas: (fees.maxPriorityFeePerGas * BigInt(100 + pct)) / BigInt(100),
+        maxFeePerGas: (fees.maxFeePerGas * BigInt(100 + pct)) / BigInt(100),
+    };
+}
+
+/**
+ * Share of the transaction pairs within a block, from different senders, where the one with the
+ * higher (or equal) effective priority fee came first.
+ * @param {Array<Array<bigint>>} blocks - Effective priority fees of every block, in block order.
+ * @returns {number|null} Percent, null without such pairs.
+ */
+function priorityOrderPct(blocks) {
+    let pairs = 0;
+    let ordered = 0;
+    blocks.forEach(txs => {
+        for (let i = 0; i < txs.length; i++) {
+            for (let j = i + 1; j < txs.length; j++) {
+                if (txs[i].from !== txs[j].from) {
+                    pairs++;
+                    ordered += txs[i].priorityFee >= txs[j].priorityFee ? 1 : 0;
+                }
+            }
+        }
+    });
+    return pairs > 0 ? Math.round((ordered / pairs) * 1000) / 10 : null;
+}
+
+/**
+ * Sends the increments and their replacements, mines them and checks what happened.
+ * @param {object} hre - Hardhat Runtime Environment.
+ * @param {object} options - From resolveStressOptions.
+ * @returns {Promise<object>} `{ row, versions, inclusion }`: the summary row, mined versions per
+ *   planned action, and the inclusion table by priority fee.
+ */
+async function runReplacementStress(hre, options) {
+    const { ethers } = hre;
+    const provider = ethers.provider;
+    const signers = (await ethers.getSigners()).slice(0, options.signers);
+    const counter = await ethers.deployContract('Counter', signers[0]);
+    await counter.waitForDeployment();
+    const counterAddress = await counter.getAddress();
+    const initialCount = await counter.count();
+    const nonces = await Promise.all(signers.map(signer => signer.getNonce('pending')));
+    const startBlock = await provider.getBlockNumber();
+    console.log(`Counter deployed to ${counterAddress}, initial count ${initialCount}`);
+
+    const random = createRandom(options.seed);
+    const entries = []; // One per increment: { signerIndex, nonce, action, versions: [{ kind, hash, fees }], rejections }
+    const unexpectedRejections = [];
+    await provider.send('evm_setAutomine', [false]);
+    await provider.send('evm_setIntervalMining', [0]);
+    try {
+        for (let first = 0; first < options.txs; first += options.perBlock) {
+            const { baseFeePerGas } = await provider.getBlock('latest');
+            const group = Array.from({ length: Math.min(options.perBlock, options.txs - first) }, (_, offset) => {
+                const signerIndex = (first + offset) % signers.length;
+                return { signerIndex, nonce: nonces[signerIndex]++, action: pickAction(options, random), versions: [], rejections: 0 };
+            });
+
+            // Originals first, all of them pending together
+            await Promise.all(group.map(async entry => {
+                const fees = randomFees(ethers, baseFeePerGas, random);
+                const tx = await counter.connect(signers[entry.signerIndex]).increment({
+                    nonce: entry.nonce, gasLimit: INCREMENT_GAS_LIMIT, type: 2, ...fees,
+                });
+                entry.versions.push({ kind: 'original', hash: tx.hash, fees });
+            }));
+
+            // Then the second version of a share of them, at the same nonce
+            await Promise.all(group.filter(entry => entry.action !== 'keep').map(async entry => {
+                const signer = signers[entry.signerIndex];
+                const fees = bumpFees(entry.versions[0].fees, entry.action === 'underpriced' ? UNDERPRICED_BUMP_PCT : FEE_BUMP_PCT);
+                const overrides = { nonce: entry.nonce, type: 2, ...fees };
+                try {
+                    const tx = entry.action === 'cancel'
+                        ? await signer.sendTransaction({ ...overrides, to: signer.address, value: 0, gasLimit: CANCEL_GAS_LIMIT })
+                        : await counter.connect(signer).increment({ ...overrides, gasLimit: INCREMENT_GAS_LIMIT });
+                    entry.versions.push({ kind: entry.action === 'cancel' ? 'cancel' : 'replacement', hash: tx.hash, fees });
+                } catch (error) {
+                    const classification = classifyError(error);
+                    entry.rejections++;
+                    if (entry.action !== 'underpriced' || classification.category !== 'underpriced') {
+                        unexpectedRejections.push(`#${entry.signerIndex} nonce ${entry.nonce} ${entry.action}: ${describeCategory(classification)}`);
+                        console.error(`   ❌ ${entry.action} of #${entry.signerIndex} nonce ${entry.nonce} rejected: ${error.message.split('\n')[0]}`);
+                    }
+                }
+            }));
+
+            await provider.send('evm_mine', []);
+            entries.push(...group);
+        }
+        // Anything the last blocks left behind
+        while (await pendingTxCount(provider) > 0) {
+            await provider.send('evm_mine', []);
+        }
+    } finally {
+        await provider.send('evm_setAutomine', [true]);
+    }
+
+    // Which version of every nonce made it into a block
+    const receipts = new Map();
+    const hashes = entries.flatMap(entry => entry.versions.map(version => version.hash));
+    (await Promise.all(hashes.map(hash => provider.getTransactionReceipt(hash))))
+        .forEach((receipt, index) => receipts.set(hashes[index], receipt));
+    const expectedKind = { keep: 'original', underpriced: 'original', replace: 'replacement', cancel: 'cancel' };
+    const versions = Object.fromEntries(ACTIONS.map(action => [action, { planned: 0, original: 0, replacement: 0, cancel: 0, none: 0, rejected: 0 }]));
+    let wrongVersion = 0;
+    let doubleMined = 0;
+    let minedIncrements = 0;
+    entries.forEach(entry => {
+        const mined = entry.versions.filter(version => receipts.get(version.hash));
+        const stats = versions[entry.action];
+        stats.planned++;
+        stats.rejected += entry.rejections;
+        if (mined.length === 0) {
+            stats.none++;
+            wrongVersion++;
+            return;
+        }
+        doubleMined += mined.length > 1 ? 1 : 0;
+        mined.forEach(version => {
+            stats[version.kind]++;
+            minedIncrements += version.kind === 'cancel' || receipts.get(version.hash).status !== 1 ? 0 : 1;
+        });
+        wrongVersion += mined.length === 1 && mined[0].kind === expectedKind[entry.action] ? 0 : 1;
+    });
+
+    // Double counting: the count and the Incremented events against the increments that were mined
+    const finalCount = await counter.count();
+    const endBlock = await provider.getBlockNumber();
+    const events = await counter.queryFilter(counter.filters.Incremented(), startBlock + 1, endBlock);
+    const eventHashes = new Set(events.map(log => log.transactionHash));
+    const cancelledCounted = entries.filter(entry => entry.versions.some(version => version.kind === 'cancel' && eventHashes.has(version.hash))).length;
+    const countDelta = finalCount - initialCount;
+
+    // Inclusion order within the blocks by effective priority fee (gas price paid minus base fee)
+    const blockTxs = [];
+    const buckets = new Map();
+    for (let number = startBlock + 1; number <= endBlock; number++) {
+        const block = await provider.getBlock(number);
+        const txs = block.transactions
+            .map(hash => receipts.get(hash))
+            .filter(Boolean)
+            .map(receipt => ({ from: receipt.from, priorityFee: receipt.gasPrice - block.baseFeePerGas }));
+        blockTxs.push(txs);
+        txs.forEach((tx, position) => {
+            const gwei = Number(ethers.formatUnits(tx.priorityFee, 'gwei'));
+            const bucket = Math.floor(gwei / PRIORITY_BUCKET_GWEI) * PRIORITY_BUCKET_GWEI;
+            const entry = buckets.get(bucket) || { txs: 0, positionSum: 0 };
+            entry.txs++;
+            entry.positionSum += txs.length > 1 ? position / (txs.length - 1) : 0;
+            buckets.set(bucket, entry);
+        });
+    }
+    const inclusion = [...buckets.entries()].sort((a, b) => b[0] - a[0]).map(([bucket, entry]) => ({
+        priorityFeeGwei: `${bucket}-${bucket + PRIORITY_BUCKET_GWEI}`,
+        txs: entry.txs,
+        // 0: first in its block, 100: last
+        avgPositionPct: Math.round((entry.positionSum / entry.txs) * 1000) / 10,
+    }));
+
+    const doubleCounted = doubleMined + cancelledCounted + Math.max(Number(countDelta) - minedIncrements, 0);
+    const verified = countDelta === BigInt(minedIncrements) && eventHashes.size === minedIncrements &&
+        doubleCounted === 0 && wrongVersion === 0 && unexpectedRejections.length === 0;
+    return {
+        row: {
+            txs: entries.length,
+            signers: signers.length,
+            blocks: endBlock - startBlock,
+            replaced: versions.replace.planned,
+            cancelled: versions.cancel.planned,
+            underpricedAttempts: versions.underpriced.planned,
+            underpricedRejected: versions.underpriced.rejected,
+            minedOriginals: ACTIONS.reduce((sum, action) => sum + versions[action].original, 0),
+            minedReplacements: versions.replace.replacement + versions.underpriced.replacement,
+            minedCancels: versions.cancel.cancel,
+            notMined: ACTIONS.reduce((sum, action) => sum + versions[action].none, 0),
+            wrongVersion,
+            unexpectedRejections: unexpectedRejections.length,
+            minedIncrements,
+            countDelta: countDelta.toString(),
+            incrementedEvents: events.length,
+            doubleCounted,
+            priorityOrderPct: priorityOrderPct(blockTxs),
+            verified,
+        },
+        versions: ACTIONS.map(action => ({ action, ...versions[action] })),
+        inclusion,
+    };
+}
+
+/**
+ * Prints the result of runReplacementStress.
+ * @param {object} result
+ */
+function reportReplacementStress({ row, versions, inclusion }) {
+    console.log(`\nSent ${row.txs} increments from ${row.signers} signers into ${row.blocks} blocks: ${row.replaced} replaced (+${FEE_BUMP_PCT}%), ${row.cancelled} cancelled, ${row.underpricedAttempts} with a +${UNDERPRICED_BUMP_PCT}% replacement.`);
+    console.log("\nMined version per planned action (rejected: second versions the node refused):");
+    console.table(versions);
+    console.log("\nInclusion within blocks by effective priority fee (avgPositionPct 0: first in the block, 100: last):");
+    console.table(inclusion);
+    console.log(`   ${row.priorityOrderPct ?? '-'}% of transaction pairs from different senders were ordered by priority fee.`);
+    console.log(`   Underpriced replacements rejected: ${row.underpricedRejected} of ${row.underpricedAttempts}`);
+    console.log(`   Count grew by ${row.countDelta}, ${row.minedIncrements} increments were mined, ${row.incrementedEvents} Incremented events.`);
+    if (row.verified) {
+        console.log("   ✅ Every nonce was mined exactly once in the expected version, and no replaced or cancelled increment was counted twice.");
+    } else {
+        console.error(`   ❌ ${row.wrongVersion} nonces mined in an unexpected version (${row.notMined} not at all), ${row.doubleCounted} double counts, ${row.unexpectedRejections} unexpected rejections.`);
+    }
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    resolveStressOptions,
+    pickAction,
+    priorityOrderPct,
+    runReplacementStress,
+    reportReplacementStress
+};
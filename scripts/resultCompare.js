@@ -0,0 +1,110 @@
+// scripts/resultCompare.js
+//
+// Diffs two result files written by resultExport.js and flags regressions.
+// Runs are matched by their label, e.g. "16 (managed)".
+
+const { readResults } = require('./resultExport.js');
+
+/**
+ * Failure rate of a summary row in percent.
+ * @param {object} run
+ * @returns {number|null}
+ */
+function failureRate(run) {
+    const attempted = (run.successes || 0) + (run.failures || 0);
+    return attempted > 0 ? (run.failures / attempted) * 100 : null;
+}
+
+/**
+ * Compares the runs of two result files.
+ * @param {object} baseline - Parsed result file.
+ * @param {object} candidate - Parsed result file.
+ * @param {object} options
+ * @param {number} options.throughputThreshold - Allowed throughput drop in percent.
+ * @param {number} options.failureThreshold - Allowed failure-rate increase in percentage points.
+ * @returns {{ rows: object, regressions: Array<string> }} Table rows keyed by label, and a message per regression.
+ */
+function compareResults(baseline, candidate, { throughputThreshold, failureThreshold }) {
+    const rows = {};
+    const regressions = [];
+    const baselineRuns = new Map(baseline.runs.map(run => [run.label, run]));
+
+    for (const run of candidate.runs) {
+        const base = baselineRuns.get(run.label);
+        if (!base) {
+            rows[run.label] = { note: 'not in baseline' };
+            continue;
+        }
+        const throughputChange = base.tps > 0 && typeof run.tps === 'number'
+            ? ((run.tps - base.tps) / base.tps) * 100
+            : null;
+        const baseFailureRate = failureRate(base);
+        const candidateFailureRate = failureRate(run);
+        const failureRateChange = baseFailureRate !== null && candidateFailureRate !== null
+            ? candidateFailureRate - baseFailureRate
+            : null;
+
+        const flags = [];
+        if (throughputChange !== null && throughputChange < -throughputThreshold) {
+            flags.push('throughput');
+            regressions.push(`${run.label}: throughput dropped ${Math.abs(throughputChange).toFixed(1)}% (${base.tps} -> ${run.tps} tx/s)`);
+        }
+        if (failureRateChange !== null && failureRateChange > failureThreshold) {
+            flags.push('failure rate');
+            regressions.push(`${run.label}: failure rate rose ${failureRateChange.toFixed(2)} points (${baseFailureRate.toFixed(2)}% -> ${candidateFailureRate.toFixed(2)}%)`);
+        }
+
+        rows[run.label] = {
+            baselineTps: base.tps,
+            candidateTps: run.tps,
+            tpsChangePct: throughputChange === null ? null : Number(throughputChange.toFixed(1)),
+            baselineFailurePct: baseFailureRate === null ? null : Number(baseFailureRate.toFixed(2)),
+            candidateFailurePct: candidateFailureRate === null ? null : Number(candidateFailureRate.toFixed(2)),
+            regression: flags.join(', ') || '-',
+        };
+    }
+    for (const label of baselineRuns.keys()) {
+        if (!candidate.runs.some(run => run.label === label)) {
+            rows[label] = { note: 'missing from candidate' };
+        }
+    }
+    return { rows, regressions };
+}
+
+/**
+ * Prints the comparison of two result files.
+ * @returns {boolean} True when at least one regression was found.
+ */
+function compareResultFiles(baselinePath, candidatePath, options) {
+    const baseline = readResults(baselinePath);
+    const candidate = readResults(candidatePath);
+
+    console.log(`Baseline:  ${baselinePath} (${baseline.environment?.scenario}, ${baseline.environment?.createdAt})`);
+    console.log(`Candidate: ${candidatePath} (${candidate.environment?.scenario}, ${candidate.environment?.createdAt})`);
+    if (baseline.environment?.scenario !== candidate.environment?.scenario) {
+        console.warn("⚠️ Warning: The files come from different scenarios.");
+    }
+    // Files from before --isolation ran every configuration on the chain the previous one left
+    const baselineIsolation = baseline.environment?.isolation || 'none';
+    const candidateIsolation = candidate.environment?.isolation || 'none';
+    if (baselineIsolation !== candidateIsolation) {
+        console.warn(`⚠️ Warning: The runs started from different chain states (isolation ${baselineIsolation} vs ${candidateIsolation}).`);
+    }
+
+    const { rows, regressions } = compareResults(baseline, candidate, options);
+    console.table(rows);
+
+    if (regressions.length > 0) {
+        console.error(`\n❌ ${regressions.length} regression(s) above the threshold (throughput -${options.throughputThreshold}%, failure rate +${options.failureThreshold} points):`);
+        regressions.forEach(message => console.error(`   ${message}`));
+        return true;
+    }
+    console.log("\n✅ No regressions above the threshold.");
+    return false;
+}
+
+module.exports = {
+    failureRate,
+    compareResults,
+    compareResultFiles
+};
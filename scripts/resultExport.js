@@ -0,0 +1,108 @@
+// scripts/resultExport.js
+//
+// Writes every benchmark run to a JSON file (environment + config + summary rows) and a CSV
+// file (one line per summary row), so numbers no longer have to be copied out of console.table.
+// Compare two JSON files with `npx hardhat bench:compare` (see resultCompare.js).
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const DEFAULT_RESULTS_DIR = path.resolve(__dirname, '../benchmark-results');
+
+/**
+ * Environment metadata stored next to the results.
+ * @param {object} ctx - Runner context (hre, provider, rpcUrl, node, scenario, config).
+ * @returns {Promise<object>}
+ */
+async function collectEnvironment(ctx) {
+    const { hre, provider, scenario, config } = ctx;
+    const network = await provider.getNetwork();
+    const cpus = os.cpus();
+    return {
+        createdAt: new Date().toISOString(),
+        scenario: scenario.name,
+        contractName: scenario.contractName,
+        network: hre.network.name,
+        rpcUrl: ctx.rpcUrl,
+        managedNode: Boolean(ctx.node), // Started by the runner, see nodeManager.js
+        chainId: network.chainId.toString(),
+        // Contract shared by all runs (--attach, --address, --redeploy), otherwise every run deployed its own
+        sharedContract: ctx.sharedContract
+            ? { address: ctx.sharedContract.address, attached: ctx.sharedContract.attached }
+            : null,
+        isolation: config.isolation, // Chain state every run started from, see runIsolation.js
+        rpcProxy: Boolean(ctx.rpcProxy), // Traffic went through the recording proxy, one more hop per call
+        cpuCount: cpus.length,
+        cpuModel: cpus.length > 0 ? cpus[0].model : 'unknown',
+        nodeVersion: process.version,
+        platform: `${os.platform()} ${os.release()}`,
+        // The mnemonic derives every funded signer, result files get shared
+        config: { ...config, mnemonic: config.mnemonic ? '<redacted>' : undefined },
+    };
+}
+
+// JSON.stringify can't serialize BigInt, store it as a decimal string
+function jsonReplacer(key, value) {
+    return typeof value === 'bigint' ? value.toString() : value;
+}
+
+function csvEscape(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value, jsonReplacer) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Turns summary rows into CSV text with a header line.
+ * @param {Array<object>} runs - Rows, each with a `label`.
+ * @returns {string}
+ */
+function toCsv(runs) {
+    const columns = [...new Set(runs.flatMap(run => Object.keys(run)))];
+    const lines = [columns.map(csvEscape).join(',')];
+    runs.forEach(run => lines.push(columns.map(column => csvEscape(run[column])).join(',')));
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Writes `<scenario>-<timestamp>.json` and `.csv` into `outDir`.
+ * @param {object} environment - From collectEnvironment.
+ * @param {object} benchmarkResults - Summary table rows keyed by run label.
+ * @param {string} [outDir] - Output directory, created if missing.
+ * @param {object} [extra] - Additional top-level fields for the JSON file.
+ * @returns {{ jsonPath: string, csvPath: string }}
+ */
+function writeResults(environment, benchmarkResults, outDir = DEFAULT_RESULTS_DIR, extra = {}) {
+    const runs = Object.entries(benchmarkResults).map(([label, row]) => ({ label, ...row }));
+    const baseName = `${environment.scenario}-${environment.createdAt.replace(/[:.]/g, '-')}`;
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const jsonPath = path.join(outDir, `${baseName}.json`);
+    const csvPath = path.join(outDir, `${baseName}.csv`);
+    fs.writeFileSync(jsonPath, JSON.stringify({ environment, runs, ...extra }, jsonReplacer, 2));
+    fs.writeFileSync(csvPath, toCsv(runs));
+    return { jsonPath, csvPath };
+}
+
+/**
+ * Reads a JSON file written by writeResults.
+ * @param {string} filePath
+ * @returns {{ environment: object, runs: Array<object> }}
+ */
+function readResults(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!data || !Array.isArray(data.runs)) {
+        throw new Error(`${filePath} is not a benchmark result file (missing "runs").`);
+    }
+    return data;
+}
+
+module.exports = {
+    DEFAULT_RESULTS_DIR,
+    collectEnvironment,
+    toCsv,
+    writeResults,
+    readResults
+};
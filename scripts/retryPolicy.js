@@ -0,0 +1,48 @@
+// scripts/retryPolicy.js
+//
+// How long a worker waits before retrying a failed transaction, and how often it tries.
+//   fixed:       the base delay every time
+//   exponential: base delay doubled per attempt, with jitter so retries of many workers spread out
+//   capped:      exponential, but never longer than the max delay
+//   none:        a single attempt
+
+const RETRY_POLICIES = ['fixed', 'exponential', 'capped', 'none'];
+
+/**
+ * Delay before retry number `attempt` of an exponential policy: base * 2^(attempt - 1),
+ * scaled by a random factor between 0.5 and 1 ("equal jitter").
+ */
+function exponentialDelay(baseDelayMs, attempt) {
+    const delay = baseDelayMs * Math.pow(2, attempt - 1);
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * Creates a retry policy.
+ * @param {object} options
+ * @param {string} [options.name] - One of RETRY_POLICIES, default "exponential".
+ * @param {number} options.maxAttempts - Attempts including the first one (ignored by "none").
+ * @param {number} options.baseDelayMs - Delay before the first retry.
+ * @param {number} [options.maxDelayMs] - Upper bound of the "capped" policy, default 30s.
+ * @returns {{ name: string, maxAttempts: number, delayFor: Function }} `delayFor(attempt)` is the
+ *   delay in ms after failed attempt number `attempt` (starting at 1).
+ */
+function createRetryPolicy({ name = 'exponential', maxAttempts, baseDelayMs, maxDelayMs = 30000 }) {
+    switch (name) {
+        case 'fixed':
+            return { name, maxAttempts, delayFor: () => baseDelayMs };
+        case 'exponential':
+            return { name, maxAttempts, delayFor: (attempt) => exponentialDelay(baseDelayMs, attempt) };
+        case 'capped':
+            return { name, maxAttempts, delayFor: (attempt) => Math.min(exponentialDelay(baseDelayMs, attempt), maxDelayMs) };
+        case 'none':
+            return { name, maxAttempts: 1, delayFor: () => 0 };
+        default:
+            throw new Error(`Unknown retry policy: ${name}. Expected: ${RETRY_POLICIES.join(', ')}`);
+    }
+}
+
+module.exports = {
+    RETRY_POLICIES,
+    createRetryPolicy
+};
@@ -0,0 +1,210 @@
+// scripts/rpcProxy.js
+//
+// Recording JSON-RPC proxy (--rpc-proxy). A local HTTP server that the runner puts between its
+// clients and the node: every request is forwarded as it is, and its method, size and round trip
+// to the node are recorded. Clients are told apart by the URL path they were given, "/workers"
+// for the worker threads and "/runner" for the main thread (async executor, pre-signed
+// submissions, mining, the dashboard, setup and verification). Batches are split into their
+// calls; each call is counted with its own request and response size and the batch's round trip.
+// With --rpc-trace <file> every call is also written to a JSON Lines file with its params,
+// result or error and timing, to look at a run afterwards.
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { now, describeLatencies } = require('./latencyStats.js');
+
+// Columns of the per-run traffic table, in display order
+const RPC_COLUMNS = ['rpcCalls', 'rpcCallsPerTx', 'rpcRequestBytes', 'rpcResponseBytes'];
+// Columns of the per-method table, in display order
+const RPC_METHOD_COLUMNS = ['source', 'method', 'calls', 'errors', 'requestBytes', 'responseBytes', 'latencyAvgMs', 'latencyP50Ms', 'latencyP99Ms', 'latencyMaxMs'];
+
+const byteLength = (value) => Buffer.byteLength(typeof value === 'string' ? value : JSON.stringify(value));
+
+// Per source and method: calls, errors, bytes and latencies
+function createTally() {
+    const entries = new Map();
+    return {
+        add(source, method, { error, requestBytes, responseBytes, latencyMs }) {
+            const key = `${source}|${method}`;
+            const entry = entries.get(key) || { source, method, calls: 0, errors: 0, requestBytes: 0, responseBytes: 0, latencies: [] };
+            entry.calls++;
+            entry.errors += error ? 1 : 0;
+            entry.requestBytes += requestBytes;
+            entry.responseBytes += responseBytes;
+            entry.latencies.push(latencyMs);
+            entries.set(key, entry);
+        },
+        rows() {
+            return [...entries.values()]
+                .sort((a, b) => a.source.localeCompare(b.source) || b.calls - a.calls)
+                .map(({ latencies, ...entry }) => {
+                    const latency = describeLatencies(latencies, 'latency');
+                    return {
+                        ...entry,
+                        latencyAvgMs: Math.round((latencies.reduce((sum, value) => sum + value, 0) / latencies.length) * 10) / 10,
+                        latencyP50Ms: latency.latencyP50Ms,
+                        latencyP99Ms: latency.latencyP99Ms,
+                        latencyMaxMs: latency.latencyMaxMs,
+                    };
+                });
+        },
+    };
+}
+
+/**
+ * Totals of per-method rows.
+ * @param {Array<object>} methods - From the tally, RPC_METHOD_COLUMNS.
+ * @param {number} [txCount] - Transactions of the run, for rpcCallsPerTx.
+ * @returns {object} Fields named as in RPC_COLUMNS.
+ */
+function summarizeTraffic(methods, txCount) {
+    const calls = methods.reduce((sum, row) => sum + row.calls, 0);
+    return {
+        rpcCalls: calls,
+        rpcCallsPerTx: txCount ? Math.round((calls / txCount) * 10) / 10 : null,
+        rpcRequestBytes: methods.reduce((sum, row) => sum + row.requestBytes, 0),
+        rpcResponseBytes: methods.reduce((sum, row) => sum + row.responseBytes, 0),
+    };
+}
+
+/**
+ * Starts the proxy in front of `target`.
+ * @param {object} options
+ * @param {string} options.target - URL of the node.
+ * @param {number} [options.port] - Port to listen on, default any free port.
+ * @param {string} [options.traceFile] - JSON Lines file that gets every call.
+ * @returns {Promise<object>} `{ url, urlFor(source), beginRun(label), endRun(), summary(), close() }`.
+ *   endRun() returns the calls since beginRun() per source and method, summary() all of them.
+ */
+async function startRpcProxy({ target, port = 0, traceFile }) {
+    const targetUrl = new URL(target);
+    const transport = targetUrl.protocol === 'https:' ? https : http;
+    const agent = new transport.Agent({ keepAlive: true });
+    const trace = traceFile ? fs.createWriteStream(traceFile) : null;
+    const total = createTally();
+    let window = null;
+    let label = 'setup';
+
+    // Sends one request body to the node, resolves with the response body and status
+    const forward = (body) => new Promise((resolve, reject) => {
+        const upstream = transport.request(targetUrl, {
+            method: 'POST',
+            agent,
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+        }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString() }));
+            res.on('error', reject);
+        });
+        upstream.on('error', reject);
+        upstream.end(body);
+    });
+
+    const record = (source, request, response, latencyMs, sizes) => {
+        const method = request && typeof request.method === 'string' ? request.method : '(invalid)';
+        const stats = { error: !response || Boolean(response.error), ...sizes, latencyMs };
+        total.add(source, method, stats);
+        if (window) {
+            window.add(source, method, stats);
+        }
+        if (trace) {
+            trace.write(JSON.stringify({
+                at: new Date().toISOString(),
+                run: label,
+                source,
+                id: request ? request.id : null,
+                method,
+                params: request ? request.params : undefined,
+                result: response ? response.result : undefined,
+                error: response ? response.error : 'no response',
+                latencyMs: Math.round(latencyMs * 100) / 100,
+                ...sizes,
+            }) + '\n');
+        }
+    };
+
+    const server = http.createServer((req, res) => {
+        const source = req.url.replace(/^\/+/, '') || 'default';
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', async () => {
+            const body = Buffer.concat(chunks).toString();
+            const startedAt = now();
+            let upstream;
+            try {
+                upstream = await forward(body);
+            } catch (error) {
+                res.writeHead(502, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32603, message: `RPC proxy: ${error.message}` } }));
+                let request = null;
+                try {
+                    request = JSON.parse(body);
+                } catch (parseError) {
+                    // Recorded as "(invalid)"
+                }
+                record(source, Array.isArray(request) ? null : request, null, now() - startedAt, { requestBytes: byteLength(body), responseBytes: 0 });
+                return;
+            }
+            const latencyMs = now() - startedAt;
+            res.writeHead(upstream.status, { 'Content-Type': 'application/json' });
+            res.end(upstream.body);
+
+            let request;
+            let response;
+            try {
+                request = JSON.parse(body);
+                response = JSON.parse(upstream.body);
+            } catch (error) {
+                record(source, request, null, latencyMs, { requestBytes: byteLength(body), responseBytes: byteLength(upstream.body) });
+                return;
+            }
+            if (!Array.isArray(request)) {
+                record(source, request, response, latencyMs, { requestBytes: byteLength(body), responseBytes: byteLength(upstream.body) });
+                return;
+            }
+            const responses = new Map((Array.isArray(response) ? response : []).map(entry => [entry.id, entry]));
+            request.forEach(call => {
+                const callResponse = responses.get(call.id);
+                record(source, call, callResponse, latencyMs, {
+                    requestBytes: byteLength(call),
+                    responseBytes: callResponse ? byteLength(callResponse) : 0,
+                });
+            });
+        });
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', resolve);
+    });
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        url,
+        urlFor: (source) => `${url}/${source}`,
+        beginRun(runLabel) {
+            label = runLabel;
+            window = createTally();
+        },
+        endRun() {
+            const methods = window ? window.rows() : [];
+            window = null;
+            label = `after ${label}`;
+            return methods;
+        },
+        summary: () => total.rows(),
+        close: () => new Promise(resolve => {
+            agent.destroy();
+            server.close(() => (trace ? trace.end(resolve) : resolve()));
+            server.closeAllConnections();
+        }),
+    };
+}
+
+module.exports = {
+    RPC_COLUMNS,
+    RPC_METHOD_COLUMNS,
+    summarizeTraffic,
+    startRpcProxy
+};
@@ -0,0 +1,71 @@
+// scripts/runIsolation.js
+//
+// Puts the chain back into the same state before every run, so worker counts are compared from the
+// same signer balances, nonces and block number instead of whatever the earlier runs left behind:
+//   none     - every run continues on the chain the previous one left (the default)
+//   snapshot - evm_snapshot once the setup is done (signers funded, contract deployed), evm_revert
+//              to it before every run after the first
+//   reset    - hardhat_reset before every run, back to the node's genesis block, then the setup is
+//              repeated. Wipes everything else on the node too.
+// Both need a Hardhat node (--network localhost or the node the runner starts for "hardhat").
+
+const ISOLATION_MODES = ['none', 'snapshot', 'reset'];
+
+// Sends an isolation RPC call and explains a node that doesn't know it
+async function send(provider, method, params) {
+    try {
+        return await provider.send(method, params);
+    } catch (error) {
+        if (/method.*(not found|not supported|does not exist)/i.test(error.message)) {
+            throw new Error(`The node doesn't support ${method}, which --isolation needs. Use a Hardhat node or --isolation none.`);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Prepares the isolation of the runs. Call it once the setup is done; `beforeRun()` then has to be
+ * awaited before every run.
+ * @param {object} provider - Provider of the benchmarked node.
+ * @param {string} mode - One of ISOLATION_MODES.
+ * @param {object} [options]
+ * @param {Function} [options.setup] - Repeats the setup after a hardhat_reset (reset mode).
+ * @returns {Promise<{ mode: string, beforeRun: Function }>}
+ */
+async function startIsolation(provider, mode, { setup } = {}) {
+    if (mode === 'snapshot') {
+        let snapshotId = await send(provider, 'evm_snapshot', []);
+        let firstRun = true;
+        return {
+            mode,
+            beforeRun: async () => {
+                if (firstRun) {
+                    firstRun = false; // The chain is still in the snapshot's state
+                    return;
+                }
+                if (!(await send(provider, 'evm_revert', [snapshotId]))) {
+                    throw new Error(`evm_revert to snapshot ${snapshotId} failed`);
+                }
+                // A snapshot can only be reverted to once
+                snapshotId = await send(provider, 'evm_snapshot', []);
+            },
+        };
+    }
+    if (mode === 'reset') {
+        return {
+            mode,
+            beforeRun: async () => {
+                await send(provider, 'hardhat_reset', []);
+                if (setup) {
+                    await setup();
+                }
+            },
+        };
+    }
+    return { mode, beforeRun: async () => {} };
+}
+
+module.exports = {
+    ISOLATION_MODES,
+    startIsolation
+};
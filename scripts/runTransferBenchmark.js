@@ -0,0 +1,23 @@
+// scripts/runTransferBenchmark.js
+const hre = require("hardhat");
+const { runBenchmark, resolveConfig, configFromEnv } = require('./benchmarkRunner.js');
+const { SCENARIOS } = require('./benchmarkScenarios.js');
+
+// --- Configuration ---
+// Defaults live in benchmarkScenarios.js / benchmarkRunner.js.
+// To change them without editing source, use the task instead: npx hardhat bench:transfer --help
+// Some flags can be given as environment variables, see configFromEnv and the README.
+// --- End Configuration ---
+
+async function main() {
+    const scenario = SCENARIOS.transfer;
+    await runBenchmark(hre, scenario, resolveConfig(scenario, configFromEnv()));
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("\n🔥🔥🔥 A critical error occurred during the transfer benchmark! 🔥🔥🔥");
+        console.error(error);
+        process.exit(1);
+    });
\ No newline at end of file
@@ -0,0 +1,132 @@
+// scripts/scenarioDefinition.js
+//
+// Benchmark scenarios described in a file instead of code, so a contract dropped into contracts/
+// can be benchmarked without a new runner and worker pair. The file is JSON, or a JS module
+// when arguments, values or the invariant need code. Used by the runner (benchmarkScenarios.js)
+// and by the generic worker (workerScenario.js).
+//
+// Fields:
+//   contract      - Artifact name of the contract, deployed fresh for every run
+//   method        - Method called by every task (view methods are eth_calls)
+//   name          - Optional, names the result files (default: the file name)
+//   deployArgs    - Optional constructor arguments
+//   args          - Optional method arguments: an array where "$txIndex", "$workerId", "$signer" and
+//                   "$signerIndex" are replaced per task, or a function(task) returning the array
+//   value         - Optional ETH sent with every call: a string like "0.01", or a function(task)
+//                   returning an ETH string or a wei bigint
+//   signerPolicy  - Optional: "round-robin" (default), "random", "first", or a function
+//                   ({ txIndex, signerCount }) returning the signer index
+//   events        - Optional events the method emits, reconciled after the run (eventReconciler.js)
+//   invariant     - Optional check after the run:
+//                   read:   view method without arguments, "$contractBalance", or a function(ctx)
+//                   expect: "successes" (read grows by one per successful tx), "value" (grows by the
+//                           ETH sent), "unchanged", or a function({ initial, final, results, tally })
+//                           returning a boolean or { ok, message }
+//   defaults      - Optional runner defaults, e.g. { "txs": 200, "workers": [4, 8] }
+const path = require('path');
+const { ethers } = require('ethers');
+
+const SIGNER_POLICIES = ['round-robin', 'random', 'first'];
+const INVARIANT_EXPECTATIONS = ['successes', 'value', 'unchanged'];
+const PLACEHOLDERS = ['$txIndex', '$workerId', '$signer', '$signerIndex'];
+
+/**
+ * Loads and checks a scenario definition.
+ * @param {string} file - Path to a .json or .js file.
+ * @returns {object} The definition, with `file` set to the absolute path and `name` filled in.
+ */
+function loadScenarioDefinition(file) {
+    const absolutePath = path.resolve(file);
+    let definition;
+    try {
+        definition = require(absolutePath);
+    } catch (error) {
+        throw new Error(`Could not load scenario definition ${absolutePath}: ${error.message}`);
+    }
+
+    const problems = [];
+    if (typeof definition.contract !== 'string') {
+        problems.push('"contract" (artifact name) is required');
+    }
+    if (typeof definition.method !== 'string') {
+        problems.push('"method" is required');
+    }
+    if (definition.args !== undefined && !Array.isArray(definition.args) && typeof definition.args !== 'function') {
+        problems.push('"args" must be an array or a function');
+    }
+    if (typeof definition.signerPolicy === 'string' && !SIGNER_POLICIES.includes(definition.signerPolicy)) {
+        problems.push(`"signerPolicy" must be one of ${SIGNER_POLICIES.join(', ')} or a function`);
+    }
+    const invariant = definition.invariant;
+    if (invariant && (invariant.read === undefined || invariant.expect === undefined)) {
+        problems.push('"invariant" needs "read" and "expect"');
+    }
+    if (invariant && typeof invariant.expect === 'string' && !INVARIANT_EXPECTATIONS.includes(invariant.expect)) {
+        problems.push(`"invariant.expect" must be one of ${INVARIANT_EXPECTATIONS.join(', ')} or a function`);
+    }
+    if (problems.length > 0) {
+        throw new Error(`Invalid scenario definition ${absolutePath}: ${problems.join('; ')}`);
+    }
+
+    return {
+        ...definition,
+        file: absolutePath,
+        name: definition.name || path.basename(absolutePath, path.extname(absolutePath)),
+    };
+}
+
+/**
+ * Method arguments of one task.
+ * @param {object} definition
+ * @param {object} task - `{ txIndex, workerId, signer, signerIndex }`
+ * @returns {Array}
+ */
+function resolveArgs(definition, task) {
+    if (typeof definition.args === 'function') {
+        return definition.args(task);
+    }
+    return (definition.args || []).map(arg => (PLACEHOLDERS.includes(arg) ? task[arg.slice(1)] : arg));
+}
+
+/**
+ * Wei sent with one task.
+ * @param {object} definition
+ * @param {object} task - `{ txIndex, workerId, signer, signerIndex }`
+ * @returns {bigint}
+ */
+function resolveValue(definition, task) {
+    const value = typeof definition.value === 'function' ? definition.value(task) : definition.value;
+    if (value === undefined || value === null) {
+        return BigInt(0);
+    }
+    return typeof value === 'bigint' ? value : ethers.parseEther(String(value));
+}
+
+/**
+ * Index of the signer that sends transaction `txIndex`.
+ * @param {object} definition
+ * @param {number} txIndex
+ * @param {number} signerCount
+ * @returns {number}
+ */
+function selectSigner(definition, txIndex, signerCount) {
+    const policy = definition.signerPolicy || 'round-robin';
+    if (typeof policy === 'function') {
+        return policy({ txIndex, signerCount }) % signerCount;
+    }
+    if (policy === 'random') {
+        return Math.floor(Math.random() * signerCount);
+    }
+    if (policy === 'first') {
+        return 0;
+    }
+    return txIndex % signerCount;
+}
+
+module.exports = {
+    SIGNER_POLICIES,
+    loadScenarioDefinition,
+    resolveArgs,
+    resolveValue,
+    selectSigner
+};
@@ -0,0 +1,25 @@
+// scripts/seededRandom.js
+//
+// Seeded pseudo-random numbers, for random choices that have to come out the same on every run:
+// the invariant fuzzer's sequences and the recipients and amounts of bench:transfer and the
+// actions and fees of bench:replace (--seed).
+
+/**
+ * Seeded pseudo-random numbers (mulberry32), the same seed gives the same sequence.
+ * @param {number} seed
+ * @returns {Function} Returns a number in [0, 1) per call.
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+module.exports = {
+    createRandom
+};
@@ -1,27 +1,63 @@
 // scripts/workerAccountBalance.js
-const { parentPort } = require('worker_threads');
-const { ethers } = require('ethers');
-const fs = require('fs');
-const path = require('path');
+const { sendWithRetry } = require('./workerTransaction.js');
+const { setupClient } = require('./workerCache.js');
+const { createRetryPolicy } = require('./retryPolicy.js');
+const { classifyError } = require('./errorTaxonomy.js');
+const { now } = require('./latencyStats.js');
 
-// --- Retry Configuration ---
+// --- Retry Configuration (defaults, --retry-policy / --max-attempts / --retry-delay override them) ---
 const MAX_ATTEMPTS = 1000;
 const RETRY_DELAY_MS = 2000;
 // --- End Retry Configuration ---
 
-// Function to load contract ABI
-function getContractAbi(name) {
-    try {
-        const artifactsPath = path.resolve(__dirname, '../artifacts/contracts', `${name}.sol`, `${name}.json`);
-        if (!fs.existsSync(artifactsPath)) {
-            throw new Error(`Artifact file not found at ${artifactsPath}. Make sure contracts are compiled ('npx hardhat compile').`);
+// Fixed gas limit of user withdrawals and transfers. Without one, ethers estimates gas first and a
+// transfer the sender's balance no longer covers fails before it is sent; with it, the transaction is
+// mined and reverts on-chain, where the transfer benchmark checks the revert against the ledger.
+const USER_OP_GAS_LIMIT = 150000;
+
+// Transactions of the mix operations (see workloadMix.js) and of the transfer benchmark,
+// called with the tx overrides
+const SENDERS = {
+    deposit: ({ contract, depositAmountWei }, overrides) => contract.deposit({
+        ...overrides,
+        value: depositAmountWei // Send Ether with the transaction
+    }),
+    // Plain ETH transfer, credited by the contract's receive()
+    send: ({ signer, contractAddress, depositAmountWei }, overrides) => signer.sendTransaction({
+        ...overrides,
+        to: contractAddress,
+        value: depositAmountWei
+    }),
+    withdrawAll: ({ contract }, overrides) => contract.withdrawAll(overrides),
+    withdraw: ({ contract, amountWei }, overrides) => contract.withdraw(amountWei, {
+        ...overrides,
+        gasLimit: USER_OP_GAS_LIMIT
+    }),
+    transfer: ({ contract, recipient, amountWei }, overrides) => contract.transfer(recipient, amountWei, {
+        ...overrides,
+        gasLimit: USER_OP_GAS_LIMIT
+    }),
+};
+
+// Operations that move balance already in the contract instead of crediting new ETH
+const USER_OPERATIONS = new Set(['withdraw', 'transfer']);
+
+// eth_calls of the mix operations
+const READERS = {
+    getBalance: ({ contract, signer }) => contract.getBalance(signer.address),
+    getMyBalance: ({ contract }) => contract.getMyBalance(),
+    getContractBalance: ({ contract }) => contract.getContractBalance(),
+};
+
+// Amount the owner took out, from the WithdrawnByOwner event of the receipt
+function withdrawnAmount(contract, receipt) {
+    for (const log of receipt.logs) {
+        const parsed = contract.interface.parseLog(log);
+        if (parsed && parsed.name === 'WithdrawnByOwner') {
+            return parsed.args.amount;
         }
-        const contractArtifact = JSON.parse(fs.readFileSync(artifactsPath, 'utf8'));
-        return contractArtifact.abi;
-    } catch (error) {
-        console.error(`Error reading ABI for contract ${name}:`, error);
-        throw new Error(`Could not load ABI for ${name}.`);
     }
+    return BigInt(0);
 }
 
 // --- This is the function Piscina will run ---
@@ -33,65 +69,66 @@ module.exports = async (passedData) => {
         contractName, // Should be "AccountBalance"
         workerId,
         txIndex,
-        depositAmountWei // Amount to deposit in wei
+        depositAmountWei, // Amount to deposit in wei
+        operation = 'deposit', // Operation of a workload mix, see workloadMix.js
+        recipient,        // Account credited by a transfer
+        amountWei,        // Amount of a withdraw or transfer in wei
+        signerIndex,      // Slot of the signer in the shared nonce table
+        nonceBuffer,      // Shared nonce table, undefined in "retry" nonce mode
+        retryOptions,     // Retry policy options from the task flags
+        clientOptions     // Provider options and caching, see workerCache.js
     } = passedData;
 
-    // 1. Setup Provider and Signer
-    const provider = new ethers.JsonRpcProvider(rpcUrl);
-    const signer = new ethers.Wallet(privateKey, provider);
-
-    // 2. Get Contract Instance
-    const contractAbi = getContractAbi(contractName);
-    const accountBalanceContract = new ethers.Contract(contractAddress, contractAbi, signer);
+    // 1. + 2. Provider, Signer and Contract Instance, reused by later tasks of this thread
+    const client = await setupClient({ rpcUrl, privateKey, contractAddress, contractName, clientOptions });
+    const { signer, contract: accountBalanceContract } = client;
 
-    // 3. Perform the deposit WITH RETRY LOGIC
-    let attempt = 0;
-    let result = { success: false, error: 'Max attempts reached', workerId: workerId, txIndex: txIndex, amountDeposited: "0" };
+    const op = { contract: accountBalanceContract, signer, contractAddress, depositAmountWei, recipient, amountWei };
 
-    while (attempt < MAX_ATTEMPTS) {
-        attempt++;
+    // Reads are a single eth_call, nothing to retry
+    if (READERS[operation]) {
+        const timings = { sentAt: now() };
         try {
-            // console.log(`Worker ${workerId} (Tx ${txIndex}) Attempt ${attempt}: Depositing ${ethers.formatEther(depositAmountWei)} ETH...`);
-            const tx = await accountBalanceContract.deposit({
-                value: depositAmountWei // Send Ether with the transaction
-            });
-            const receipt = await tx.wait();
-
-            if (receipt.status === 1) {
-                result = { success: true, hash: receipt.hash, workerId: workerId, txIndex: txIndex, amountDeposited: depositAmountWei.toString() };
-                // console.log(`Worker ${workerId} (Tx ${txIndex}) Attempt ${attempt}: Deposit Success`);
-                break; // Exit loop on success
-            } else {
-                console.error(`Worker ${workerId} (Tx ${txIndex}) Attempt ${attempt}: Deposit Tx reverted (status 0): ${receipt.hash}`);
-                result = { success: false, error: `Transaction reverted with status 0`, hash: receipt.hash, workerId: workerId, txIndex: txIndex, amountDeposited: "0" };
-                break;
-            }
+            await READERS[operation](op);
+            timings.returnedAt = now();
+            return { success: true, operation, timings, workerId, txIndex, clientSetupMs: client.clientSetupMs, providerCreated: client.providerCreated };
         } catch (error) {
-            const errorMessage = error.message ? error.message.toLowerCase() : '';
-            const isNonceError = error.code === 'NONCE_EXPIRED' ||
-                                 errorMessage.includes('nonce too low') ||
-                                 errorMessage.includes('nonce has already been used') ||
-                                 errorMessage.includes('replacement transaction underpriced');
-            const isNetworkError = errorMessage.includes('failed to detect network') ||
-                                 errorMessage.includes('could not detect network') ||
-                                 errorMessage.includes('timeout') ||
-                                 errorMessage.includes('network error');
-
-            if ((isNonceError || isNetworkError) && attempt < MAX_ATTEMPTS) {
-                 const delay = RETRY_DELAY_MS * Math.pow(2, attempt - 1);
-                 console.warn(`Worker ${workerId} (Tx ${txIndex}) Attempt ${attempt}: Deposit Failed (${error.code || 'N/A'}). Retrying in ${delay}ms...`);
-                 console.warn(`   Error: ${error.message.split('\n')[0]}`);
-                 result = { success: false, error: error.message, workerId: workerId, txIndex: txIndex, amountDeposited: "0" };
-                 await new Promise(resolve => setTimeout(resolve, delay));
-            } else {
-                console.error(`Worker ${workerId} (Tx ${txIndex}) Attempt ${attempt}: Deposit Failed with non-retryable error or max attempts reached.`);
-                console.error(`   Error Code: ${error.code || 'N/A'}`);
-                console.error(`   Error: ${error.message.split('\n')[0]}`);
-                result = { success: false, error: error.message, workerId: workerId, txIndex: txIndex, amountDeposited: "0" };
-                break;
-            }
+            console.error(`Worker ${workerId} (Tx ${txIndex}): ${operation} call failed: ${error.message.split('\n')[0]}`);
+            return { success: false, error: error.message, errorCategory: classifyError(error).category, operation, workerId, txIndex };
         }
-    } // End while loop
+    }
+
+    // 3. Perform the transaction WITH RETRY LOGIC
+    const outcome = await sendWithRetry({
+        signer,
+        send: (overrides) => SENDERS[operation](op, overrides),
+        nonceBuffer,
+        signerIndex,
+        retryPolicy: createRetryPolicy({ maxAttempts: MAX_ATTEMPTS, baseDelayMs: RETRY_DELAY_MS, ...retryOptions }),
+        logPrefix: `Worker ${workerId} (Tx ${txIndex})`,
+        action: operation === 'deposit' ? 'Deposit' : operation
+    });
 
-    return result;
-};
\ No newline at end of file
+    return {
+        success: outcome.success,
+        error: outcome.success ? undefined : outcome.error,
+        hash: outcome.receipt?.hash,
+        blockNumber: outcome.receipt?.blockNumber,
+        timings: outcome.timings,
+        workerId: workerId,
+        txIndex: txIndex,
+        operation: operation,
+        amountDeposited: outcome.success && operation !== 'withdrawAll' && !USER_OPERATIONS.has(operation) ? depositAmountWei.toString() : "0",
+        amountWithdrawn: outcome.success && operation === 'withdrawAll' ? withdrawnAmount(accountBalanceContract, outcome.receipt).toString() : "0",
+        amount: USER_OPERATIONS.has(operation) ? amountWei.toString() : undefined, // Requested, also on failure
+        attempts: outcome.attempts,
+        nonceErrors: outcome.nonceErrors,
+        errorCategory: outcome.errorCategory,
+        retriesByCategory: outcome.retriesByCategory,
+        orderWaits: outcome.orderWaits,
+        gapFilled: outcome.gapFilled,
+        sentHashes: outcome.sentHashes,
+        clientSetupMs: client.clientSetupMs,
+        providerCreated: client.providerCreated
+    };
+};
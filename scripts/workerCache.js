@@ -0,0 +1,141 @@
+// scripts/workerCache.js
+//
+// Per-thread client objects for the Piscina workers. Piscina keeps its threads alive between
+// tasks, so providers, wallets, contracts and ABIs are built once per thread instead of once per
+// task (which meant a network detection and an artifact read for every transaction).
+// Setup time is measured per task and reported by the runner as client overhead, so it can be
+// told apart from the time the node takes.
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const { RECEIPT_POLL_INTERVAL_MS } = require('./workerTransaction.js');
+const { now, percentile } = require('./latencyStats.js');
+
+// Columns of the client overhead table, in display order
+const CLIENT_COLUMNS = ['clientSetupP50Ms', 'clientSetupP99Ms', 'clientSetupTotalMs', 'providersCreated'];
+
+const providers = new Map(); // `${rpcUrl}|${options}` -> JsonRpcProvider
+const wallets = new Map();   // `${providerKey}|${privateKey}` -> Wallet
+const contracts = new Map(); // `${walletKey}|${address}` -> Contract
+const abis = new Map();      // Contract name -> ABI
+
+// Function to load contract ABI
+function readContractAbi(name) {
+    try {
+        const artifactsPath = path.resolve(__dirname, '../artifacts/contracts', `${name}.sol`, `${name}.json`);
+        if (!fs.existsSync(artifactsPath)) {
+            throw new Error(`Artifact file not found at ${artifactsPath}. Make sure contracts are compiled ('npx hardhat compile').`);
+        }
+        const contractArtifact = JSON.parse(fs.readFileSync(artifactsPath, 'utf8'));
+        return contractArtifact.abi;
+    } catch (error) {
+        console.error(`Error reading ABI for contract ${name}:`, error);
+        throw new Error(`Could not load ABI for ${name}.`);
+    }
+}
+
+// ABI read from disk once per thread
+function getContractAbi(name) {
+    if (!abis.has(name)) {
+        abis.set(name, readContractAbi(name));
+    }
+    return abis.get(name);
+}
+
+/**
+ * Creates a provider. Network detection (eth_chainId) happens here rather than in the first
+ * measured request; with a static network it is skipped.
+ */
+async function createProvider(rpcUrl, { rpcBatch, staticNetwork, chainId }) {
+    // No request cache: tasks sharing the provider would otherwise get the same
+    // eth_getTransactionCount(pending) within 250ms (see the runner's provider)
+    const options = { cacheTimeout: -1 };
+    if (rpcBatch !== undefined) {
+        options.batchMaxCount = rpcBatch; // 1 turns batching off
+    }
+    let provider;
+    if (staticNetwork) {
+        provider = new ethers.JsonRpcProvider(rpcUrl, chainId, { ...options, staticNetwork: true });
+    } else {
+        provider = new ethers.JsonRpcProvider(rpcUrl, undefined, options);
+        await provider.getNetwork();
+    }
+    provider.pollingInterval = RECEIPT_POLL_INTERVAL_MS;
+    return provider;
+}
+
+/**
+ * Provider, signer and contract for one task, reused from earlier tasks of this thread unless
+ * caching is off.
+ * @param {object} options
+ * @param {string} options.rpcUrl
+ * @param {string} options.privateKey
+ * @param {string} options.contractAddress
+ * @param {string} [options.contractName] - Artifact to read the ABI from, when `contractAbi` is not given.
+ * @param {Array} [options.contractAbi]
+ * @param {object} [options.clientOptions] - `{ cache, rpcBatch, staticNetwork, chainId }` from the runner.
+ * @returns {Promise<object>} `{ provider, signer, contract, clientSetupMs, providerCreated }`
+ */
+async function setupClient({ rpcUrl, privateKey, contractAddress, contractName, contractAbi, clientOptions = {} }) {
+    const startedAt = now();
+    const { cache = true, rpcBatch, staticNetwork = false, chainId } = clientOptions;
+    const providerKey = `${rpcUrl}|${rpcBatch}|${staticNetwork}`;
+    const walletKey = `${providerKey}|${privateKey}`;
+    const contractKey = `${walletKey}|${contractAddress}`;
+
+    let providerCreated = false;
+    let provider = cache ? providers.get(providerKey) : undefined;
+    if (!provider) {
+        provider = await createProvider(rpcUrl, { rpcBatch, staticNetwork, chainId });
+        providerCreated = true;
+        if (cache) {
+            providers.set(providerKey, provider);
+        }
+    }
+
+    let signer = cache ? wallets.get(walletKey) : undefined;
+    if (!signer) {
+        signer = new ethers.Wallet(privateKey, provider);
+        if (cache) {
+            wallets.set(walletKey, signer);
+        }
+    }
+
+    let contract = cache ? contracts.get(contractKey) : undefined;
+    if (!contract) {
+        const abi = contractAbi || (cache ? getContractAbi(contractName) : readContractAbi(contractName));
+        contract = new ethers.Contract(contractAddress, abi, signer);
+        if (cache) {
+            contracts.set(contractKey, contract);
+        }
+    }
+
+    return { provider, signer, contract, clientSetupMs: now() - startedAt, providerCreated };
+}
+
+/**
+ * Client setup time of a run, from the `clientSetupMs` and `providerCreated` fields of the results.
+ * @param {Array<object>} results
+ * @returns {object} Fields named as in CLIENT_COLUMNS, empty if no task reported setup times.
+ */
+function summarizeClientOverhead(results) {
+    const measured = results.filter(res => res && res.clientSetupMs !== undefined);
+    if (measured.length === 0) {
+        return {};
+    }
+    const sorted = measured.map(res => res.clientSetupMs).sort((a, b) => a - b);
+    const round = (value) => Math.round(value * 10) / 10;
+    return {
+        clientSetupP50Ms: round(percentile(sorted, 50)),
+        clientSetupP99Ms: round(percentile(sorted, 99)),
+        clientSetupTotalMs: round(sorted.reduce((sum, value) => sum + value, 0)),
+        providersCreated: measured.filter(res => res.providerCreated).length,
+    };
+}
+
+module.exports = {
+    CLIENT_COLUMNS,
+    getContractAbi,
+    setupClient,
+    summarizeClientOverhead
+};
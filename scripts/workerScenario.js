@@ -0,0 +1,93 @@
+// scripts/workerScenario.js
+//
+// Generic Piscina worker: calls the method of a scenario definition (see scenarioDefinition.js)
+// instead of a hard-coded one, so new workloads don't need their own worker file.
+const { sendWithRetry } = require('./workerTransaction.js');
+const { setupClient } = require('./workerCache.js');
+const { createRetryPolicy } = require('./retryPolicy.js');
+const { classifyError } = require('./errorTaxonomy.js');
+const { now } = require('./latencyStats.js');
+const { loadScenarioDefinition, resolveArgs, resolveValue } = require('./scenarioDefinition.js');
+
+// --- Retry Configuration (defaults, --retry-policy / --max-attempts / --retry-delay override them) ---
+const MAX_ATTEMPTS = 100;
+const RETRY_DELAY_MS = 1000;
+// --- End Retry Configuration ---
+
+// Definitions loaded by this thread, by file
+const definitions = new Map();
+
+// --- This is the function Piscina will run ---
+module.exports = async (passedData) => {
+    const {
+        contractAddress,
+        rpcUrl,
+        privateKey,
+        contractAbi,      // Read from the Hardhat artifacts by the runner, any contract file name works
+        workerId,
+        txIndex,
+        signerIndex,
+        nonceBuffer,
+        retryOptions,
+        clientOptions,
+        scenarioFile      // Absolute path of the scenario definition
+    } = passedData;
+
+    if (!definitions.has(scenarioFile)) {
+        definitions.set(scenarioFile, loadScenarioDefinition(scenarioFile));
+    }
+    const definition = definitions.get(scenarioFile);
+
+    // 1. + 2. Provider, Signer and Contract Instance (reused by later tasks of this thread), and the call of this task
+    const client = await setupClient({ rpcUrl, privateKey, contractAddress, contractAbi, clientOptions });
+    const { signer, contract } = client;
+    const task = { txIndex, workerId, signer: signer.address, signerIndex };
+    const args = resolveArgs(definition, task);
+    const value = resolveValue(definition, task);
+    const method = definition.method;
+    const logPrefix = `Worker ${workerId} (Tx ${txIndex})`;
+
+    // View methods are a single eth_call, nothing to retry
+    if (contract.interface.getFunction(method).constant) {
+        const timings = { sentAt: now() };
+        try {
+            await contract[method](...args);
+            timings.returnedAt = now();
+            return { success: true, timings, workerId, txIndex, value: "0", clientSetupMs: client.clientSetupMs, providerCreated: client.providerCreated };
+        } catch (error) {
+            console.error(`${logPrefix}: ${method} call failed: ${error.message.split('\n')[0]}`);
+            return { success: false, error: error.message, errorCategory: classifyError(error).category, workerId, txIndex, value: "0" };
+        }
+    }
+
+    // 3. Send the transaction WITH RETRY LOGIC
+    const outcome = await sendWithRetry({
+        signer,
+        send: (overrides) => contract[method](...args, value > 0 ? { ...overrides, value } : overrides),
+        nonceBuffer,
+        signerIndex,
+        retryPolicy: createRetryPolicy({ maxAttempts: MAX_ATTEMPTS, baseDelayMs: RETRY_DELAY_MS, ...retryOptions }),
+        logPrefix,
+        action: method
+    });
+
+    return {
+        success: outcome.success,
+        error: outcome.success ? undefined : outcome.error,
+        hash: outcome.receipt?.hash,
+        blockNumber: outcome.receipt?.blockNumber,
+        timings: outcome.timings,
+        workerId: workerId,
+        txIndex: txIndex,
+        value: outcome.success ? value.toString() : "0",
+        attempts: outcome.attempts,
+        nonceErrors: outcome.nonceErrors,
+        errorCategory: outcome.errorCategory,
+        retriesByCategory: outcome.retriesByCategory,
+        orderWaits: outcome.orderWaits,
+        gapFilled: outcome.gapFilled,
+        sentHashes: outcome.sentHashes,
+        clientSetupMs: client.clientSetupMs,
+        providerCreated: client.providerCreated
+    };
+};
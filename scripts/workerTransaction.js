@@ -0,0 +1,138 @@
+// scripts/workerTransaction.js
+//
+// Send-and-confirm loop shared by the Piscina workers.
+// With a nonce buffer the nonce comes from the shared nonce table (see nonceManager.js),
+// otherwise ethers picks it and "nonce too low" is retried as the retry policy says (see retryPolicy.js).
+// Errors are classified by errorTaxonomy.js.
+
+const { reserveNonce, syncNonce, sendInNonceOrder, fillNonceGap } = require('./nonceManager.js');
+const { now } = require('./latencyStats.js');
+const { classifyError, isRetryable, describeCategory } = require('./errorTaxonomy.js');
+
+// How often tx.wait() checks for new blocks. ethers polls every 4s by default, which would hide
+// the block time of interval or manual mining (see miningModes.js) behind the polling interval.
+const RECEIPT_POLL_INTERVAL_MS = 100;
+
+// Under automine Hardhat answers the send of a reverting transaction with an error, but mines it
+// anyway and puts its hash in the error data. The nonce is used up and the revert is on-chain.
+function minedTxHash(error) {
+    const data = (error.error || error.info?.error)?.data;
+    return data && typeof data.txHash === 'string' ? data.txHash : undefined;
+}
+
+/**
+ * Sends a transaction until it is mined, it reverts, or the attempts run out.
+ * @param {object} options
+ * @param {object} options.signer - ethers Wallet connected to a provider.
+ * @param {Function} options.send - Called with tx overrides (e.g. `{ nonce }`), returns a TransactionResponse.
+ * @param {SharedArrayBuffer} [options.nonceBuffer] - Shared nonce table; omit for the plain retry loop.
+ * @param {number} [options.signerIndex] - Slot of the signer in the nonce table.
+ * @param {object} options.retryPolicy - From retryPolicy.createRetryPolicy.
+ * @param {string} options.logPrefix - Prefix for log lines, e.g. "Worker 3 (Tx 17)".
+ * @param {string} [options.action] - Name of the action for log lines, e.g. "Deposit".
+ * @returns {Promise<object>} `{ success, receipt, error, errorCategory, attempts, nonceErrors, retriesByCategory,
+ *   orderWaits, gapFilled, sentHashes, timings }`, where `timings` holds `sentAt`, `hashAt` and `receiptAt`
+ *   (ms, see latencyStats.now) of the last attempt, `sentHashes` the hash of every attempt that reached
+ *   the node, `errorCategory` the category of the final error and `retriesByCategory` the retries per
+ *   category of the error that caused them.
+ */
+async function sendWithRetry({ signer, send, nonceBuffer, signerIndex, retryPolicy, logPrefix, action = 'Tx' }) {
+    const { maxAttempts } = retryPolicy;
+    const managed = nonceBuffer !== undefined;
+    let nonce = managed ? reserveNonce(nonceBuffer, signerIndex) : undefined;
+    let nonceConsumed = false; // True once a tx with `nonce` reached the node
+    let attempt = 0;
+    let nonceErrors = 0;
+    const retriesByCategory = {};
+    const sentHashes = []; // An earlier attempt can still land after a retry, see eventReconciler.js
+    const orderStats = { orderWaits: 0 };
+    let result = { success: false, error: 'Max attempts reached' };
+
+    while (attempt < maxAttempts) {
+        attempt++;
+        let sent = false;
+        const timings = { sentAt: now() };
+        try {
+            // Managed nonces can reach the node out of order, wait for the earlier ones
+            const tx = managed
+                ? await sendInNonceOrder(() => send({ nonce }), orderStats)
+                : await send({});
+            sent = true;
+            sentHashes.push(tx.hash);
+            timings.hashAt = now();
+            const receipt = await tx.wait();
+            timings.receiptAt = now();
+
+            if (receipt.status === 1) {
+                result = { success: true, receipt, timings };
+                break; // Exit loop on success
+            }
+            // Transaction reverted on-chain. The nonce is used up, reverts aren't retryable.
+            nonceConsumed = true;
+            console.error(`${logPrefix} Attempt ${attempt}: ${action} reverted (status 0): ${receipt.hash}`);
+            result = { success: false, error: 'Transaction reverted with status 0', errorCategory: 'revert', receipt };
+            break;
+        } catch (error) {
+            const minedHash = sent ? undefined : minedTxHash(error);
+            if (minedHash) {
+                sentHashes.push(minedHash);
+            }
+            if (sent || error.receipt || minedHash) {
+                nonceConsumed = true;
+            }
+            const classification = classifyError(error);
+            const { category } = classification;
+            // "Replacement underpriced" is another signer's tx holding the same nonce
+            const isNonceError = category === 'nonce' || category === 'underpriced';
+
+            if (isNonceError) {
+                nonceErrors++;
+            }
+            result = { success: false, error: error.message, errorCategory: category };
+            const willRetry = isRetryable(category) && attempt < maxAttempts;
+            if (willRetry) {
+                retriesByCategory[category] = (retriesByCategory[category] || 0) + 1;
+            }
+
+            if (isNonceError && managed && willRetry) {
+                // Someone outside the pool used this nonce. Catch up with the node and take a fresh one,
+                // no backoff needed since the collision cannot repeat.
+                const chainNonce = await signer.provider.getTransactionCount(signer.address, 'pending');
+                syncNonce(nonceBuffer, signerIndex, chainNonce);
+                nonce = reserveNonce(nonceBuffer, signerIndex);
+                nonceConsumed = false;
+                console.warn(`${logPrefix} Attempt ${attempt}: Nonce taken outside the pool, resynced to ${nonce}.`);
+            } else if (willRetry) {
+                const delay = retryPolicy.delayFor(attempt);
+                console.warn(`${logPrefix} Attempt ${attempt}: ${action} failed with ${category} error (${error.code || 'N/A'}). Retrying in ${delay}ms...`);
+                console.warn(`   Error: ${error.message.split('\n')[0]}`); // Log concise error message
+                await new Promise(resolve => setTimeout(resolve, delay));
+            } else {
+                // Non-retryable error or max attempts reached
+                console.error(`${logPrefix} Attempt ${attempt}: ${action} failed with ${describeCategory(classification)} error${isRetryable(category) ? ', max attempts reached' : ''}.`);
+                console.error(`   Error Code: ${error.code || 'N/A'}`);
+                console.error(`   Error: ${error.message.split('\n')[0]}`);
+                break;
+            }
+        }
+    } // End while loop
+
+    // A reserved nonce that never reached the node would block every later tx of this signer
+    let gapFilled = false;
+    if (managed && !result.success && !nonceConsumed) {
+        try {
+            const fillerHash = await fillNonceGap(signer, nonce);
+            gapFilled = true;
+            console.warn(`${logPrefix}: Filled nonce gap ${nonce} with ${fillerHash}`);
+        } catch (error) {
+            console.error(`${logPrefix}: Could not fill nonce gap ${nonce}: ${error.message.split('\n')[0]}`);
+        }
+    }
+
+    return { ...result, attempts: attempt, nonceErrors, retriesByCategory, orderWaits: orderStats.orderWaits, gapFilled, sentHashes };
+}
+
+module.exports = {
+    RECEIPT_POLL_INTERVAL_MS,
+    sendWithRetry
+};
@@ -0,0 +1,117 @@
+// scripts/workloadMix.js
+//
+// Weighted operation mixes for AccountBalance, e.g. "deposit=70,getBalance=20,send=8,withdrawAll=2".
+// Every transaction index of a run gets one operation; the schedule interleaves them so a
+// 2% operation shows up every 50 transactions instead of all at the end.
+const { percentile } = require('./latencyStats.js');
+
+// Operations a mix can contain.
+//   readOnly:  eth_call, no transaction and no nonce
+//   ownerOnly: sent by the contract owner (the deployer) instead of the task's signer
+//   credits:   increases the sender's entry in the `balances` mapping by the value sent
+const MIX_OPERATIONS = {
+    deposit: { readOnly: false, ownerOnly: false, credits: true },
+    send: { readOnly: false, ownerOnly: false, credits: true },        // Plain ETH transfer to receive()
+    withdrawAll: { readOnly: false, ownerOnly: true, credits: false },
+    getBalance: { readOnly: true, ownerOnly: false, credits: false },
+    getMyBalance: { readOnly: true, ownerOnly: false, credits: false },
+    getContractBalance: { readOnly: true, ownerOnly: false, credits: false },
+};
+
+const DEFAULT_MIX = "deposit=70,getBalance=20,send=8,withdrawAll=2";
+
+// Columns of the per-operation table, in display order
+const OPERATION_COLUMNS = ['operation', 'count', 'successes', 'failures', 'opsPerSec', 'p50Ms', 'p90Ms', 'p99Ms', 'maxMs'];
+
+/**
+ * Parses a mix such as "deposit=70,getBalance=20".
+ * @param {string} mix
+ * @returns {Array<{ operation: string, weight: number }>}
+ */
+function parseMix(mix) {
+    const entries = String(mix).split(',').map(item => item.trim()).filter(item => item !== '').map(item => {
+        const [operation, weightText] = item.split('=').map(part => part.trim());
+        const weight = Number(weightText);
+        if (!MIX_OPERATIONS[operation]) {
+            throw new Error(`Unknown operation '${operation}' in --mix. Expected: ${Object.keys(MIX_OPERATIONS).join(', ')}`);
+        }
+        if (!Number.isInteger(weight) || weight < 0) {
+            throw new Error(`Invalid weight '${weightText}' for ${operation} in --mix, expected a whole number.`);
+        }
+        return { operation, weight };
+    });
+    if (entries.reduce((sum, entry) => sum + entry.weight, 0) === 0) {
+        throw new Error(`--mix needs at least one operation with a weight above 0: ${mix}`);
+    }
+    return entries;
+}
+
+/**
+ * One period of the mix: `sum(weights)` operations, interleaved by smooth weighted round-robin.
+ * Transaction `i` of a run performs `schedule[i % schedule.length]`.
+ * @param {Array<{ operation: string, weight: number }>} entries - From parseMix.
+ * @returns {Array<string>}
+ */
+function buildSchedule(entries) {
+    const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+    const current = entries.map(() => 0);
+    const schedule = [];
+    for (let slot = 0; slot < totalWeight; slot++) {
+        let best = 0;
+        entries.forEach((entry, index) => {
+            current[index] += entry.weight;
+            if (current[index] > current[best]) {
+                best = index;
+            }
+        });
+        current[best] -= totalWeight;
+        schedule.push(entries[best].operation);
+    }
+    return schedule;
+}
+
+/**
+ * Success counts and latency per operation. Latency is send until receipt for transactions
+ * and send until the result came back for eth_calls.
+ * @param {Array<object>} results - Task results with `operation` and `timings`.
+ * @param {number} durationMs - Wall-clock duration of the run.
+ * @returns {Array<object>} One row per operation, fields named as in OPERATION_COLUMNS.
+ */
+function summarizeOperations(results, durationMs) {
+    const byOperation = new Map();
+    results.filter(res => res && res.operation).forEach(res => {
+        if (!byOperation.has(res.operation)) {
+            byOperation.set(res.operation, []);
+        }
+        byOperation.get(res.operation).push(res);
+    });
+
+    const round = (value) => (value === null ? null : Math.round(value * 10) / 10);
+    return [...byOperation.entries()].map(([operation, opResults]) => {
+        const succeeded = opResults.filter(res => res.success);
+        const latencies = succeeded
+            .filter(res => res.timings)
+            .map(res => (res.timings.receiptAt ?? res.timings.returnedAt) - res.timings.sentAt)
+            .sort((a, b) => a - b);
+        return {
+            operation,
+            count: opResults.length,
+            successes: succeeded.length,
+            failures: opResults.length - succeeded.length,
+            opsPerSec: durationMs > 0 ? Math.round((succeeded.length / (durationMs / 1000)) * 100) / 100 : null,
+            p50Ms: round(percentile(latencies, 50)),
+            p90Ms: round(percentile(latencies, 90)),
+            p99Ms: round(percentile(latencies, 99)),
+            maxMs: round(latencies.length > 0 ? latencies[latencies.length - 1] : null),
+        };
+    });
+}
+
+module.exports = {
+    MIX_OPERATIONS,
+    DEFAULT_MIX,
+    OPERATION_COLUMNS,
+    parseMix,
+    buildSchedule,
+    summarizeOperations
+};
@@ -0,0 +1,83 @@
+// test/errorTaxonomy.js
+//
+// Error categories and retry policies shared by the workers (see scripts/errorTaxonomy.js and
+// scripts/retryPolicy.js).
+//   npx hardhat test
+const { expect } = require("chai");
+const { classifyError, isRetryable, describeCategory } = require("../scripts/errorTaxonomy.js");
+const { createRetryPolicy } = require("../scripts/retryPolicy.js");
+
+describe("Error taxonomy", function () {
+    it("uses ethers error codes before messages", function () {
+        expect(classifyError({ code: "NONCE_EXPIRED", message: "execution reverted" })).to.deep.equal({ category: "nonce" });
+        expect(classifyError({ code: "REPLACEMENT_UNDERPRICED" })).to.deep.equal({ category: "underpriced" });
+        expect(classifyError({ code: "INSUFFICIENT_FUNDS" })).to.deep.equal({ category: "insufficient-funds" });
+        expect(classifyError({ code: "TIMEOUT" })).to.deep.equal({ category: "timeout" });
+    });
+
+    it("reads the node's message from shortMessage, message or info.error", function () {
+        expect(classifyError({ shortMessage: "Nonce too low. Expected nonce to be 2 but got 1." }).category).to.equal("nonce");
+        expect(classifyError({ info: { error: { message: "Transaction gas price is less than block base fee" } } }).category).to.equal("underpriced");
+        expect(classifyError(new Error("Sender doesn't have enough funds to send tx")).category).to.equal("insufficient-funds");
+        expect(classifyError(new Error("connect ECONNREFUSED 127.0.0.1:8545")).category).to.equal("connection-refused");
+        expect(classifyError(new Error("request timed out")).category).to.equal("timeout");
+    });
+
+    it("decodes the revert reason from ethers or from Hardhat's message", function () {
+        expect(classifyError({ code: "CALL_EXCEPTION", reason: "Insufficient balance" }))
+            .to.deep.equal({ category: "revert", reason: "Insufficient balance" });
+        expect(classifyError({ code: "CALL_EXCEPTION", revert: { name: "Unauthorized", args: ["0xabc", 2] } }))
+            .to.deep.equal({ category: "revert", reason: "Unauthorized(0xabc, 2)" });
+        expect(classifyError(new Error("VM Exception while processing transaction: reverted with reason string 'Only owner can call this function'")))
+            .to.deep.equal({ category: "revert", reason: "Only owner can call this function" });
+        expect(classifyError({ code: "CALL_EXCEPTION" })).to.deep.equal({ category: "revert", reason: undefined });
+    });
+
+    it("files errors of any other shape as unknown", function () {
+        expect(classifyError({})).to.deep.equal({ category: "unknown" });
+        expect(classifyError(new Error("something else"))).to.deep.equal({ category: "unknown" });
+        expect(classifyError(undefined)).to.deep.equal({ category: "unknown" });
+        expect(classifyError(null)).to.deep.equal({ category: "unknown" });
+        expect(classifyError("nonce too low")).to.deep.equal({ category: "nonce" });
+    });
+
+    it("retries only categories that can succeed on another attempt", function () {
+        expect(["nonce", "underpriced", "timeout", "connection-refused"].every(isRetryable)).to.equal(true);
+        expect(["revert", "insufficient-funds", "unknown"].some(isRetryable)).to.equal(false);
+        expect(describeCategory({ category: "revert", reason: "Insufficient balance" })).to.equal("revert (Insufficient balance)");
+        expect(describeCategory({ category: "nonce" })).to.equal("nonce");
+    });
+});
+
+describe("Retry policies", function () {
+    const options = { maxAttempts: 5, baseDelayMs: 100, maxDelayMs: 300 };
+
+    it("waits the base delay every time with fixed", function () {
+        const policy = createRetryPolicy({ ...options, name: "fixed" });
+        expect([1, 2, 5].map(policy.delayFor)).to.deep.equal([100, 100, 100]);
+        expect(policy.maxAttempts).to.equal(5);
+    });
+
+    it("doubles the delay per attempt with jitter between half and all of it", function () {
+        const policy = createRetryPolicy({ ...options, name: "exponential" });
+        for (let attempt = 1; attempt <= 4; attempt++) {
+            const full = 100 * 2 ** (attempt - 1);
+            for (let sample = 0; sample < 20; sample++) {
+                expect(policy.delayFor(attempt)).to.be.within(full / 2, full);
+            }
+        }
+    });
+
+    it("never waits longer than the max delay with capped", function () {
+        const policy = createRetryPolicy({ ...options, name: "capped" });
+        for (let sample = 0; sample < 20; sample++) {
+            expect(policy.delayFor(10)).to.be.at.most(300);
+        }
+    });
+
+    it("makes a single attempt with none and defaults to exponential", function () {
+        expect(createRetryPolicy({ ...options, name: "none" })).to.include({ name: "none", maxAttempts: 1 });
+        expect(createRetryPolicy(options).name).to.equal("exponential");
+        expect(() => createRetryPolicy({ ...options, name: "linear" })).to.throw(/Unknown retry policy: linear/);
+    });
+});
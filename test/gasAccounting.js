@@ -0,0 +1,49 @@
+// test/gasAccounting.js
+//
+// Gas outliers across runs (see findGasOutliers in scripts/gasAccounting.js).
+//   npx hardhat test
+const { expect } = require("chai");
+const { GAS_OUTLIER_PCT, findGasOutliers } = require("../scripts/gasAccounting.js");
+
+// Summary rows keyed by run label, with the average gas of every operation
+const runsOf = (gasByRun) => Object.fromEntries(Object.entries(gasByRun).map(([run, operations]) => [run, {
+    gas: { operations: Object.entries(operations).map(([operation, gasUsedAvg]) => ({ operation, gasUsedAvg })) },
+}]));
+
+describe("Gas outliers", function () {
+    it("compares every run with the middle value of an odd number of runs", function () {
+        const rows = findGasOutliers(runsOf({ a: { increment: 100 }, b: { increment: 120 }, c: { increment: 111 } }));
+        expect(rows.map(row => row.medianGas)).to.deep.equal([111, 111, 111]);
+        expect(rows.map(row => row.deviationPct)).to.deep.equal([-9.9, 8.1, 0]);
+        expect(rows.every(row => !row.outlier)).to.equal(true);
+    });
+
+    it("uses the mean of the two middle values for an even number of runs", function () {
+        const rows = findGasOutliers(runsOf({ a: { deposit: 100 }, b: { deposit: 200 }, c: { deposit: 120 }, d: { deposit: 80 } }));
+        expect(rows[0].medianGas).to.equal(110);
+        expect(rows.map(row => [row.run, row.outlier])).to.deep.equal([["a", false], ["b", true], ["c", false], ["d", true]]);
+        expect(rows[1].deviationPct).to.equal(81.8);
+    });
+
+    it("flags deviations above GAS_OUTLIER_PCT in either direction", function () {
+        const above = 100 + GAS_OUTLIER_PCT + 1;
+        const rows = findGasOutliers(runsOf({ a: { increment: 100 }, b: { increment: 100 }, c: { increment: above } }));
+        expect(rows.map(row => row.outlier)).to.deep.equal([false, false, true]);
+        const edge = findGasOutliers(runsOf({ a: { increment: 100 }, b: { increment: 100 }, c: { increment: 100 + GAS_OUTLIER_PCT } }));
+        expect(edge.some(row => row.outlier)).to.equal(false);
+    });
+
+    it("groups by operation and skips runs without gas figures", function () {
+        const results = { ...runsOf({ a: { deposit: 100, send: 21000 }, b: { deposit: 150 } }), c: {} };
+        const rows = findGasOutliers(results);
+        expect(rows.map(row => `${row.run}:${row.operation}`)).to.deep.equal(["a:deposit", "a:send", "b:deposit"]);
+        expect(rows.find(row => row.operation === "send")).to.include({ medianGas: 21000, deviationPct: 0, outlier: false });
+        expect(rows.find(row => row.run === "b").medianGas).to.equal(125);
+    });
+
+    it("reports no deviation when the median is 0", function () {
+        const rows = findGasOutliers(runsOf({ a: { getBalance: 0 }, b: { getBalance: 0 }, c: { getBalance: 500 } }));
+        expect(rows.map(row => row.medianGas)).to.deep.equal([0, 0, 0]);
+        expect(rows.every(row => row.deviationPct === 0 && !row.outlier)).to.equal(true);
+    });
+});
@@ -0,0 +1,130 @@
+// test/invariantFuzz.js
+//
+// Randomized concurrency invariants for Counter and AccountBalance (see scripts/invariantFuzzer.js).
+// Runs on the in-memory network:
+//   npx hardhat test
+// The seeds are fixed, so a failure replays the same way everywhere. FUZZ_SEED=<n> starts from
+// another seed (default 1) to explore, FUZZ_RUNS=<n> sets the number of seeds (default 5),
+// FUZZ_STEPS=<n> the blocks per seed.
+const hre = require("hardhat");
+const { expect } = require("chai");
+const {
+    DEFAULT_OPTIONS,
+    INVARIANTS,
+    generateSequence,
+    applyToModel,
+    fuzz,
+    formatFailure,
+    formatSequence,
+} = require("../scripts/invariantFuzzer.js");
+
+const RUNS = Number(process.env.FUZZ_RUNS || 5);
+const FIRST_SEED = process.env.FUZZ_SEED !== undefined ? Number(process.env.FUZZ_SEED) : 1;
+const STEP_OPTIONS = process.env.FUZZ_STEPS !== undefined ? { steps: Number(process.env.FUZZ_STEPS) } : {};
+
+describe("Concurrency invariants", function () {
+    this.timeout(600000);
+
+    for (let run = 0; run < RUNS; run++) {
+        const seed = FIRST_SEED + run;
+        it(`holds for seed ${seed}`, async function () {
+            const result = await fuzz(hre, { seed, ...STEP_OPTIONS });
+            if (!result.ok) {
+                expect.fail(formatFailure(result));
+            }
+        });
+    }
+
+    // The contracts hold every invariant, so the shrinker is checked against one that is wrong on purpose
+    it("shrinks a failing sequence to a minimal one", async function () {
+        const fewerThanThreeIncrements = {
+            name: "fewer-than-three-increments",
+            check: ({ chain }) => (chain.count < BigInt(3) ? null : `count reached ${chain.count}`),
+        };
+        const result = await fuzz(hre, { seed: 1, invariants: [...INVARIANTS, fewerThanThreeIncrements] });
+
+        expect(result.ok).to.equal(false);
+        expect(result.failure.invariant).to.equal("fewer-than-three-increments");
+        const operations = result.shrunk.flat();
+        expect(operations, formatSequence(result.shrunk)).to.have.lengthOf(3);
+        expect(operations.every(operation => operation.kind === "increment")).to.equal(true);
+    });
+});
+
+describe("Fuzzer sequences", function () {
+    it("generates the same sequence for the same seed", function () {
+        expect(generateSequence(42, DEFAULT_OPTIONS)).to.deep.equal(generateSequence(42, DEFAULT_OPTIONS));
+        expect(generateSequence(42, DEFAULT_OPTIONS)).to.not.deep.equal(generateSequence(43, DEFAULT_OPTIONS));
+    });
+
+    it("stays within the steps, operations per step and signers it is given", function () {
+        const sequence = generateSequence(7, { steps: 12, maxOpsPerStep: 3, signers: 4 });
+
+        expect(sequence).to.have.lengthOf(12);
+        sequence.forEach(step => {
+            expect(step.length).to.be.within(1, 3);
+            step.forEach(operation => {
+                expect(operation.signer).to.be.within(0, 3);
+                if (operation.to !== undefined) {
+                    expect(operation.to).to.be.within(0, 3);
+                }
+            });
+        });
+    });
+});
+
+describe("Fuzzer model", function () {
+    const { ethers } = hre;
+    const eth = (amount) => ethers.parseEther(amount);
+    let model;
+
+    beforeEach(function () {
+        model = {
+            count: BigInt(0),
+            credits: [BigInt(0), BigInt(0), BigInt(0)],
+            totalCredited: BigInt(0),
+            totalWithdrawn: BigInt(0),
+            contractBalance: BigInt(0),
+        };
+    });
+
+    it("rejects zero deposits, withdrawals and transfers, and ignores a zero send", function () {
+        applyToModel(model, { kind: "deposit", signer: 1, amount: "1" }, ethers);
+        const before = structuredClone(model);
+
+        expect(applyToModel(model, { kind: "deposit", signer: 1, amount: "0" }, ethers)).to.equal(false);
+        expect(applyToModel(model, { kind: "withdraw", signer: 1, amount: "0" }, ethers)).to.equal(false);
+        expect(applyToModel(model, { kind: "transfer", signer: 1, to: 2, amount: "0" }, ethers)).to.equal(false);
+        expect(applyToModel(model, { kind: "send", signer: 1, amount: "0" }, ethers)).to.equal(true);
+        expect(model).to.deep.equal(before);
+    });
+
+    it("rejects a withdrawal the contract can't pay after withdrawAll", function () {
+        applyToModel(model, { kind: "deposit", signer: 1, amount: "1" }, ethers);
+
+        expect(applyToModel(model, { kind: "withdrawAll", signer: 0 }, ethers)).to.equal(true);
+        expect(model.contractBalance).to.equal(BigInt(0));
+        expect(model.totalWithdrawn).to.equal(eth("1"));
+
+        expect(applyToModel(model, { kind: "withdraw", signer: 1, amount: "0.1" }, ethers)).to.equal(false);
+        expect(model.credits[1]).to.equal(eth("1")); // The mapping still promises it
+        expect(applyToModel(model, { kind: "withdrawAll", signer: 0 }, ethers)).to.equal(false); // Nothing left
+    });
+
+    it("rejects withdrawAll from anyone but the owner", function () {
+        applyToModel(model, { kind: "deposit", signer: 1, amount: "1" }, ethers);
+
+        expect(applyToModel(model, { kind: "withdrawAll", signer: 2 }, ethers)).to.equal(false);
+        expect(model.contractBalance).to.equal(eth("1"));
+    });
+
+    it("leaves the balance unchanged on a transfer to oneself", function () {
+        applyToModel(model, { kind: "deposit", signer: 2, amount: "1" }, ethers);
+
+        expect(applyToModel(model, { kind: "transfer", signer: 2, to: 2, amount: "0.1" }, ethers)).to.equal(true);
+        expect(model.credits[2]).to.equal(eth("1"));
+        expect(model.totalCredited).to.equal(eth("1"));
+        // Still limited by the balance, even though nothing would move
+        expect(applyToModel(model, { kind: "transfer", signer: 2, to: 2, amount: "1.1" }, ethers)).to.equal(false);
+    });
+});
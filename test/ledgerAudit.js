@@ -0,0 +1,58 @@
+// test/ledgerAudit.js
+//
+// The ledger audit behind ab:audit (see scripts/ledgerAudit.js), on the in-memory network:
+//   npx hardhat test
+const hre = require("hardhat");
+const { expect } = require("chai");
+const { auditLedger } = require("../scripts/ledgerAudit.js");
+
+describe("Ledger audit", function () {
+    const { ethers } = hre;
+    const eth = (amount) => ethers.parseEther(amount);
+    let snapshot;
+
+    beforeEach(async function () {
+        snapshot = await ethers.provider.send("evm_snapshot", []);
+    });
+
+    afterEach(async function () {
+        await ethers.provider.send("evm_revert", [snapshot]);
+    });
+
+    it("replays the whole history with --from-block and only narrows the listed accounts", async function () {
+        const [owner, early, both, late] = await ethers.getSigners();
+        const contract = await ethers.deployContract("AccountBalance", owner);
+        await (await contract.connect(early).deposit({ value: eth("1") })).wait();
+        await (await contract.connect(both).deposit({ value: eth("2") })).wait();
+        const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+        await (await contract.connect(both).deposit({ value: eth("0.5") })).wait();
+        await (await contract.connect(late).deposit({ value: eth("0.25") })).wait();
+
+        const audit = await auditLedger(contract, { fromBlock });
+
+        expect(audit.mismatches).to.deep.equal([]);
+        expect(audit.liabilities).to.equal(eth("3.75"));
+        expect(audit.assets).to.equal(eth("3.75"));
+        expect(audit.solvent).to.equal(true);
+        expect(audit.depositedByEvents).to.equal(eth("3.75"));
+        expect(audit.accounts.map(entry => entry.account)).to.have.members([both.address, late.address]);
+        const listed = audit.accounts.find(entry => entry.account === both.address);
+        expect(listed.fromEvents).to.equal(eth("2.5"));
+        expect(listed.deposits).to.equal(2);
+    });
+
+    it("reports the shortfall withdrawAll leaves behind", async function () {
+        const [owner, account] = await ethers.getSigners();
+        const contract = await ethers.deployContract("AccountBalance", owner);
+        await (await contract.connect(account).deposit({ value: eth("1") })).wait();
+        await (await contract.connect(owner).withdrawAll()).wait();
+
+        const audit = await auditLedger(contract);
+
+        expect(audit.mismatches).to.deep.equal([]);
+        expect(audit.solvent).to.equal(false);
+        expect(audit.shortfall).to.equal(eth("1"));
+        expect(audit.withdrawnByEvents).to.equal(eth("1"));
+        expect(audit.unexplainedAssets).to.equal(BigInt(0));
+    });
+});
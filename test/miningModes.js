@@ -0,0 +1,28 @@
+// test/miningModes.js
+//
+// Parsing of --mining (see scripts/miningModes.js).
+//   npx hardhat test
+const { expect } = require("chai");
+const { parseMiningModes } = require("../scripts/miningModes.js");
+
+describe("Mining modes", function () {
+    it("parses auto, interval and manual modes in order", function () {
+        expect(parseMiningModes(["auto", "interval:1000", " manual : 50 "])).to.deep.equal([
+            { label: "auto", kind: "auto" },
+            { label: "interval:1000", kind: "interval", intervalMs: 1000 },
+            { label: "manual:50", kind: "manual", batchSize: 50 },
+        ]);
+    });
+
+    it("needs a whole number above 0 for interval and manual", function () {
+        expect(() => parseMiningModes(["interval"])).to.throw(/interval needs a whole number above 0/);
+        expect(() => parseMiningModes(["interval:0"])).to.throw(/interval needs a whole number above 0/);
+        expect(() => parseMiningModes(["manual:2.5"])).to.throw(/manual needs a whole number above 0/);
+        expect(() => parseMiningModes(["manual:-1"])).to.throw(/manual needs a whole number above 0/);
+    });
+
+    it("rejects unknown modes", function () {
+        expect(() => parseMiningModes(["instant"])).to.throw(/Unknown mining mode 'instant'/);
+        expect(() => parseMiningModes(["Interval:1000"])).to.throw(/Unknown mining mode/);
+    });
+});
@@ -0,0 +1,81 @@
+// test/replacementStress.js
+//
+// Options, action picking and priority fee ordering of bench:replace (see scripts/replacementStress.js).
+//   npx hardhat test
+const { expect } = require("chai");
+const { DEFAULT_OPTIONS, resolveStressOptions, pickAction, priorityOrderPct } = require("../scripts/replacementStress.js");
+const { createRandom } = require("../scripts/seededRandom.js");
+
+describe("Replacement stress", function () {
+    describe("resolveStressOptions", function () {
+        it("keeps the defaults for options left out", function () {
+            expect(resolveStressOptions()).to.deep.equal(DEFAULT_OPTIONS);
+            expect(resolveStressOptions({ txs: 50, cancelShare: undefined })).to.deep.equal({ ...DEFAULT_OPTIONS, txs: 50 });
+        });
+
+        it("rejects counts that aren't positive integers and a seed that isn't an integer", function () {
+            expect(() => resolveStressOptions({ txs: 0 })).to.throw(/Invalid --txs value: 0/);
+            expect(() => resolveStressOptions({ perBlock: 2.5 })).to.throw(/Invalid --per-block value: 2.5/);
+            expect(() => resolveStressOptions({ seed: 0.5 })).to.throw(/Invalid --seed value/);
+        });
+
+        it("rejects more signers than the network has", function () {
+            expect(() => resolveStressOptions({ signers: 21 }, 20)).to.throw(/more than the 20 accounts/);
+            expect(resolveStressOptions({ signers: 20 }, 20).signers).to.equal(20);
+        });
+
+        it("rejects negative shares and shares that add up to more than 1", function () {
+            expect(() => resolveStressOptions({ replaceShare: -0.1 })).to.throw(/Invalid shares/);
+            expect(() => resolveStressOptions({ replaceShare: 0.5, cancelShare: 0.3, underpricedShare: 0.3 })).to.throw(/together at most 1/);
+            expect(resolveStressOptions({ replaceShare: 0.5, cancelShare: 0.3, underpricedShare: 0.2 }).replaceShare).to.equal(0.5);
+        });
+    });
+
+    describe("pickAction", function () {
+        const options = { replaceShare: 0.3, cancelShare: 0.1, underpricedShare: 0.1 };
+
+        it("maps the roll onto the shares in order, and keeps the rest", function () {
+            const pick = (roll) => pickAction(options, () => roll);
+            expect([0, 0.29, 0.3, 0.39, 0.4, 0.49, 0.5, 0.99].map(pick)).to.deep.equal(
+                ["replace", "replace", "cancel", "cancel", "underpriced", "underpriced", "keep", "keep"]
+            );
+        });
+
+        it("picks actions in proportion to their shares", function () {
+            const random = createRandom(1);
+            const counts = { keep: 0, replace: 0, cancel: 0, underpriced: 0 };
+            for (let i = 0; i < 10000; i++) {
+                counts[pickAction(options, random)]++;
+            }
+            expect(counts.replace).to.be.closeTo(3000, 200);
+            expect(counts.cancel).to.be.closeTo(1000, 150);
+            expect(counts.underpriced).to.be.closeTo(1000, 150);
+            expect(counts.keep).to.be.closeTo(5000, 200);
+        });
+
+        it("picks the same actions for the same seed", function () {
+            const actions = (seed) => { const random = createRandom(seed); return Array.from({ length: 20 }, () => pickAction(options, random)); };
+            expect(actions(7)).to.deep.equal(actions(7));
+            expect(actions(7)).to.not.deep.equal(actions(8));
+        });
+    });
+
+    describe("priorityOrderPct", function () {
+        const tx = (from, priorityFee) => ({ from, priorityFee: BigInt(priorityFee) });
+
+        it("counts pairs from different senders where the higher or equal fee came first", function () {
+            // a3>b1 ordered, a3>c2 ordered, b1<c2 not: 2 of 3
+            expect(priorityOrderPct([[tx("a", 3), tx("b", 1), tx("c", 2)]])).to.equal(66.7);
+            expect(priorityOrderPct([[tx("a", 2), tx("b", 2)]])).to.equal(100);
+        });
+
+        it("skips pairs from the same sender and pairs across blocks", function () {
+            expect(priorityOrderPct([[tx("a", 1), tx("a", 5), tx("b", 3)], [tx("c", 9)]])).to.equal(50);
+        });
+
+        it("returns null without pairs to compare", function () {
+            expect(priorityOrderPct([])).to.equal(null);
+            expect(priorityOrderPct([[tx("a", 1), tx("a", 2)], [tx("b", 3)]])).to.equal(null);
+        });
+    });
+});
@@ -0,0 +1,61 @@
+// test/resultCompare.js
+//
+// Regression checks of bench:compare (see scripts/resultCompare.js).
+//   npx hardhat test
+const { expect } = require("chai");
+const { failureRate, compareResults } = require("../scripts/resultCompare.js");
+
+const THRESHOLDS = { throughputThreshold: 10, failureThreshold: 1 };
+const file = (...runs) => ({ runs });
+
+describe("Result comparison", function () {
+    it("computes the failure rate in percent, or null without attempts", function () {
+        expect(failureRate({ successes: 90, failures: 10 })).to.equal(10);
+        expect(failureRate({ successes: 0, failures: 0 })).to.equal(null);
+        expect(failureRate({})).to.equal(null);
+    });
+
+    it("flags a throughput drop beyond the threshold only", function () {
+        const baseline = file({ label: "8 (managed)", tps: 100, successes: 100, failures: 0 });
+        const within = compareResults(baseline, file({ label: "8 (managed)", tps: 90, successes: 100, failures: 0 }), THRESHOLDS);
+        const beyond = compareResults(baseline, file({ label: "8 (managed)", tps: 89, successes: 100, failures: 0 }), THRESHOLDS);
+
+        expect(within.regressions).to.deep.equal([]);
+        expect(within.rows["8 (managed)"].tpsChangePct).to.equal(-10);
+        expect(beyond.regressions).to.have.lengthOf(1);
+        expect(beyond.rows["8 (managed)"].regression).to.equal("throughput");
+    });
+
+    it("flags a failure rate rise in percentage points", function () {
+        const baseline = file({ label: "4 (retry)", tps: 50, successes: 99, failures: 1 });
+        const result = compareResults(baseline, file({ label: "4 (retry)", tps: 50, successes: 97, failures: 3 }), THRESHOLDS);
+
+        expect(result.rows["4 (retry)"].regression).to.equal("failure rate");
+        expect(result.rows["4 (retry)"].candidateFailurePct).to.equal(3);
+    });
+
+    it("doesn't divide by a zero or missing baseline throughput", function () {
+        const result = compareResults(
+            file({ label: "zero", tps: 0, successes: 0, failures: 0 }, { label: "missing", successes: 1, failures: 0 }),
+            file({ label: "zero", tps: 10, successes: 10, failures: 0 }, { label: "missing", tps: 10, successes: 1, failures: 0 }),
+            THRESHOLDS,
+        );
+
+        expect(result.regressions).to.deep.equal([]);
+        expect(result.rows.zero.tpsChangePct).to.equal(null);
+        expect(result.rows.zero.baselineFailurePct).to.equal(null);
+        expect(result.rows.missing.tpsChangePct).to.equal(null);
+    });
+
+    it("notes runs that only one of the files has", function () {
+        const result = compareResults(
+            file({ label: "2 (managed)", tps: 10, successes: 1, failures: 0 }),
+            file({ label: "16 (managed)", tps: 10, successes: 1, failures: 0 }),
+            THRESHOLDS,
+        );
+
+        expect(result.rows["16 (managed)"]).to.deep.equal({ note: "not in baseline" });
+        expect(result.rows["2 (managed)"]).to.deep.equal({ note: "missing from candidate" });
+        expect(result.regressions).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,44 @@
+// test/workloadMix.js
+//
+// Parsing and scheduling of --mix (see scripts/workloadMix.js).
+//   npx hardhat test
+const { expect } = require("chai");
+const { DEFAULT_MIX, parseMix, buildSchedule } = require("../scripts/workloadMix.js");
+
+describe("Workload mix", function () {
+    it("parses weights and ignores spaces and empty items", function () {
+        expect(parseMix(" deposit = 3, ,getBalance=1,")).to.deep.equal([
+            { operation: "deposit", weight: 3 },
+            { operation: "getBalance", weight: 1 },
+        ]);
+    });
+
+    it("accepts a zero weight as long as another one is above 0", function () {
+        expect(parseMix("deposit=1,withdrawAll=0")).to.have.lengthOf(2);
+        expect(() => parseMix("deposit=0,send=0")).to.throw(/at least one operation/);
+        expect(() => parseMix("")).to.throw(/at least one operation/);
+    });
+
+    it("rejects unknown operations and weights that aren't whole numbers", function () {
+        expect(() => parseMix("deposit=1,withdraw=1")).to.throw(/Unknown operation 'withdraw'/);
+        expect(() => parseMix("deposit=1.5")).to.throw(/Invalid weight '1.5'/);
+        expect(() => parseMix("deposit=-1")).to.throw(/Invalid weight '-1'/);
+        expect(() => parseMix("deposit=lots")).to.throw(/Invalid weight 'lots'/);
+        expect(() => parseMix("deposit")).to.throw(/Invalid weight/);
+    });
+
+    it("schedules every operation as often as its weight, spread over the period", function () {
+        const schedule = buildSchedule(parseMix(DEFAULT_MIX));
+        const count = (operation) => schedule.filter(entry => entry === operation).length;
+
+        expect(schedule).to.have.lengthOf(100);
+        expect([count("deposit"), count("getBalance"), count("send"), count("withdrawAll")]).to.deep.equal([70, 20, 8, 2]);
+        // Smooth round-robin: the two withdrawAll calls are half a period apart, not next to each other
+        const positions = schedule.flatMap((entry, index) => (entry === "withdrawAll" ? [index] : []));
+        expect(positions[1] - positions[0]).to.equal(50);
+    });
+
+    it("leaves operations with weight 0 out of the schedule", function () {
+        expect(buildSchedule(parseMix("deposit=2,withdrawAll=0"))).to.deep.equal(["deposit", "deposit"]);
+    });
+});